@@ -4,7 +4,15 @@ require('./error'), require('events').EventEmitter.defaultMaxListeners = 500
 const { Component } = require('@neoxr/wb')
 const { Baileys, Function: Func, Config: env } = new Component
 require('./lib/system/functions'), require('./lib/system/scraper'), require('./lib/system/config')
-const cron = require('node-cron')
+const Scheduler = require('./lib/system/scheduler')
+const Migrator = require('./lib/system/migrator')
+const announcement = new (require('./lib/system/announcement'))
+const reminder = new (require('./lib/system/reminder'))
+const economy = new (require('./lib/system/economy'))
+const analytics = new (require('./lib/system/analytics'))
+const Backup = require('./lib/system/backup')
+const backend = new (require('./lib/system/backend'))
+const validator = new (require('./lib/system/validator'))
 const fs = require('fs')
 const colors = require('@colors/colors')
 const { NodeCache } = require('@cacheable/node-cache')
@@ -14,19 +22,10 @@ const cache = new NodeCache({
 
 const connect = async () => {
    try {
-      // Documentation : https://github.com/neoxr/session
-      const session = (process?.env?.DATABASE_URL && /mongo/.test(process.env.DATABASE_URL))
-         ? require('@session/mongo').useMongoAuthState
-         : (process?.env?.DATABASE_URL && /postgres/.test(process.env.DATABASE_URL))
-            ? require('@session/postgres').usePostgresAuthState
-            : null
-
-      // Documentation : https://github.com/neoxr/database
-      const database = await ((process?.env?.DATABASE_URL && /mongo/.test(process.env.DATABASE_URL))
-         ? require('@database/mongo').createDatabase(process.env.DATABASE_URL, env.database, 'database')
-         : (process?.env?.DATABASE_URL && /postgres/.test(process.env.DATABASE_URL))
-            ? require('@database/postgres').createDatabase(process.env.DATABASE_URL, env.database)
-            : require('@database/local').createDatabase(env.database))
+      // backend is picked from DATABASE_URL (mongo / postgres) or config.json storage (local / sqlite)
+      const type = backend.detect(process?.env?.DATABASE_URL, env.storage)
+      const session = backend.session(type)
+      const database = await backend.open(type, { url: process?.env?.DATABASE_URL, name: env.database })
 
       const client = new Baileys({
          type: '--neoxr-v1',
@@ -50,7 +49,13 @@ const connect = async () => {
       /* starting to connect */
       client.once('connect', async res => {
          /* load database */
-         global.db = { users: [], chats: [], groups: [], statistic: {}, sticker: {}, setting: {}, ...(await database.fetch() || {}) }
+         global.db = { users: [], chats: [], groups: [], statistic: {}, sticker: {}, setting: {}, errors: [], jobs: {}, analytics: {}, ...(await database.fetch() || {}) }
+         /* run pending schema migrations (lib/migrations), set MIGRATION_DRY_RUN=true to only log the changes */
+         try {
+            new Migrator().run(global.db, { dryRun: process.env.MIGRATION_DRY_RUN === 'true' })
+         } catch (e) {
+            Func.logFile(`Migration failed : ${e.message}`)
+         }
          /* save database */
          await database.save(global.db)
          /* write connection log */
@@ -74,6 +79,21 @@ const connect = async () => {
             }
          }, 60 * 1000) // check ram usage every 1 min
 
+         /* tell the owner when the local database was restored from a snapshot */
+         if (database.recovered) {
+            const { snapshot, reason, time } = database.recovered
+            Func.logFile(`Database recovered from snapshot ${snapshot} (${reason})`)
+            client.sock.reply(env.owner + '@s.whatsapp.net', Func.texted('bold', `🚩 The database file was unreadable (${reason}) and has been restored from the snapshot of ${new Date(time).toLocaleString()}, changes after that snapshot are lost.`), null).catch(() => {})
+         }
+
+         /* check plugin metadata, problems are printed and sent to owner */
+         const check = validator.scan()
+         const report = validator.report(check)
+         if (report) {
+            console.log(colors.yellow(`Plugin check (${check.total} plugins) :\n${report}`))
+            if (check.issues.some(v => v.level === 'error') || check.duplicates.length) client.sock.reply(env.owner + '@s.whatsapp.net', `乂  *P L U G C H E C K*\n\n${report}`, null).catch(() => {})
+         }
+
          /* create temp directory if doesn't exists */
          if (!fs.existsSync('./temp')) fs.mkdirSync('./temp')
 
@@ -87,19 +107,59 @@ const connect = async () => {
             } catch { }
          }, 60 * 1000 * 10) // clear ./temp folder every 10 mins
 
+         /* scheduled jobs, last runs are stored in db.jobs so missed runs are caught up after restart */
+         const scheduler = global.scheduler = new Scheduler
+
+         /* reset limit of free users every day at 00:00 */
+         scheduler.define('limit', { schedule: '0 0 * * *', description: 'Reset daily limit of free users' }, () => {
+            global.db.setting.lastReset = new Date * 1
+            global.db.users.filter(v => v.limit < env.limit && !v.premium).map(v => economy.change(v, env.limit - v.limit, 'daily reset'))
+         })
+
+         /* reset today hit statistic every day at 00:00 */
+         scheduler.define('statistic', { schedule: '0 0 * * *', description: 'Reset today hit statistic' }, () => {
+            Object.entries(global.db.statistic).map(([_, prop]) => prop.today = 0)
+         })
+
+         /* drop old analytics buckets and idle entries every day at 00:30 */
+         scheduler.define('analytics', { schedule: '30 0 * * *', description: 'Prune analytics beyond retention' }, () => {
+            analytics.prune()
+         })
+
          /* save database every 5 mins */
-         setInterval(async () => {
-            if (global.db) await database.save(global.db)
-         }, 60 * 1000 * 5)
-
-         /* backup database every day at 12:00 PM (send .json file to owner) */
-         cron.schedule('0 12 * * *', async () => {
-            if (global?.db?.setting?.autobackup) {
-               await database.save(global.db)
-               fs.writeFileSync(env.database + '.json', JSON.stringify(global.db, null, 3), 'utf-8')
-               await client.sock.sendFile(env.owner + '@s.whatsapp.net', fs.readFileSync('./' + env.database + '.json'), env.database + '.json', '', null)
-            }
+         scheduler.define('save', { schedule: '*/5 * * * *', description: 'Save database', catchup: false }, async () => {
+            await database.save(global.db)
+         })
+
+         /* encrypted backup kept in ./backups and sent to owner, every day at 12:00 PM by default (config.json backup.schedule) */
+         scheduler.define('backup', { schedule: env.backup?.schedule || '0 12 * * *', description: 'Store and send database backup to owner' }, async () => {
+            if (!global.db.setting.autobackup) return
+            await database.save(global.db)
+            const backup = new Backup({ name: env.database, keep: env.backup?.keep, password: process.env.BACKUP_PASSWORD })
+            const { file, buffer } = backup.write(global.db)
+            await client.sock.sendFile(env.owner + '@s.whatsapp.net', buffer, require('path').basename(file), backup.password ? '' : Func.texted('bold', `🚩 BACKUP_PASSWORD is not set, this backup is only compressed.`), null)
+         })
+
+         /* remove inactive users, chats and groups (3 days) every hour */
+         scheduler.define('cleanup', { schedule: '0 * * * *', description: 'Remove inactive users, chats and groups' }, () => {
+            let day = 86400000 * 3,
+               now = new Date() * 1
+            global.repo.users.remove(v => now - v.lastseen > day && !v.premium && !v.banned && v.point < 1000000 && !(v.reminders && v.reminders.length))
+            global.repo.chats.remove(v => now - v.lastseen > day)
+            global.repo.groups.remove(v => now - v.activity > day && !(v.schedules && v.schedules.length))
+         })
+
+         /* group announcements created with .schedule */
+         scheduler.define('announcement', { schedule: '* * * * *', description: 'Send scheduled group announcements', catchup: false }, async () => {
+            await announcement.deliver(client.sock)
          })
+
+         /* personal reminders created with .remind */
+         scheduler.define('reminder', { schedule: '* * * * *', description: 'Deliver personal reminders', catchup: false }, async () => {
+            await reminder.deliver(client.sock)
+         })
+
+         scheduler.start()
       })
 
       /* print all message object */
@@ -127,7 +187,7 @@ const connect = async () => {
          if (cache.has(ctx.message.sender) && cache.get(ctx.message.sender) === 1) return
          cache.set(ctx.message.sender, 1)
          if (Object.keys(ctx.message) < 1) return
-         if (ctx.message.isGroup && global.db.groups.some(v => v.jid == ctx.message.chat) && global.db.groups.find(v => v.jid == ctx.message.chat).antidelete) return sock.copyNForward(ctx.message.chat, ctx.message)
+         if (ctx.message.isGroup && global.repo.groups.get(ctx.message.chat)?.antidelete) return sock.copyNForward(ctx.message.chat, ctx.message)
       })
 
       /* AFK detector */
@@ -138,11 +198,13 @@ const connect = async () => {
          if (id.endsWith('g.us')) {
             for (let jid in presences) {
                if (!presences[jid] || jid == sock.decodeJid(sock.user.id)) continue
-               if ((presences[jid].lastKnownPresence === 'composing' || presences[jid].lastKnownPresence === 'recording') && global.db && global.db.users && global.db.users.find(v => v.jid == jid) && global.db.users.find(v => v.jid == jid).afk > -1) {
-                  sock.reply(id, `System detects activity from @${jid.replace(/@.+/, '')} after being offline for : ${Func.texted('bold', Func.toTime(new Date - global.db.users.find(v => v.jid == jid).afk))}\n\n➠ ${Func.texted('bold', 'Reason')} : ${global.db.users.find(v => v.jid == jid).afkReason ? global.db.users.find(v => v.jid == jid).afkReason : '-'}`, global.db.users.find(v => v.jid == jid).afkObj)
-                  global.db.users.find(v => v.jid == jid).afk = -1
-                  global.db.users.find(v => v.jid == jid).afkReason = ''
-                  global.db.users.find(v => v.jid == jid).afkObj = {}
+               if (!(presences[jid].lastKnownPresence === 'composing' || presences[jid].lastKnownPresence === 'recording') || !global.db) continue
+               const user = global.repo.users.get(jid)
+               if (user && user.afk > -1) {
+                  sock.reply(id, `System detects activity from @${jid.replace(/@.+/, '')} after being offline for : ${Func.texted('bold', Func.toTime(new Date - user.afk))}\n\n➠ ${Func.texted('bold', 'Reason')} : ${user.afkReason ? user.afkReason : '-'}`, user.afkObj)
+                  user.afk = -1
+                  user.afkReason = ''
+                  user.afkObj = {}
                }
             }
          } else { }
@@ -151,7 +213,7 @@ const connect = async () => {
       client.register('group.add', async ctx => {
          const sock = client.sock
          const text = `Thanks +tag for joining into +grup group.`
-         const groupSet = global.db.groups.find(v => v.jid == ctx.jid)
+         const groupSet = global.repo.groups.get(ctx.jid)
          if (!global.db || !global.db.groups) return
          try {
             var pic = await sock.profilePictureUrl(ctx.member, 'image')
@@ -164,7 +226,7 @@ const connect = async () => {
 
          /* localonly to remove new member when the number not from indonesia */
          if (groupSet && groupSet.localonly) {
-            if (global.db.users.some(v => v.jid == ctx.member) && !global.db.users.find(v => v.jid == ctx.member).whitelist && !ctx.member.startsWith('62') || !ctx.member.startsWith('62')) {
+            if (global.repo.users.has(ctx.member) && !global.repo.users.get(ctx.member).whitelist && !ctx.member.startsWith('62') || !ctx.member.startsWith('62')) {
                sock.reply(ctx.jid, Func.texted('bold', `Sorry @${ctx.member.split`@`[0]}, this group is only for indonesian people and you will removed automatically.`))
                sock.updateBlockStatus(member, 'block')
                return await Func.delay(2000).then(() => sock.groupParticipantsUpdate(ctx.jid, [ctx.member], 'remove'))
@@ -183,7 +245,7 @@ const connect = async () => {
          const sock = client.sock
          const text = `Good bye +tag :)`
          if (!global.db || !global.db.groups) return
-         const groupSet = global.db.groups.find(v => v.jid == ctx.jid)
+         const groupSet = global.repo.groups.get(ctx.jid)
          try {
             var pic = await sock.profilePictureUrl(ctx.member, 'image')
             if (!pic) {
@@ -0,0 +1,40 @@
+require('dotenv').config(), require('rootpath')()
+const backend = new (require('./lib/system/backend'))
+const env = require('./config.json')
+
+/**
+ * Copies the database (and optionally the session) between backends without starting the bot.
+ * node dbmigrate.js --from local --to postgres --to-url postgres://... [--session] [--force]
+ * --from defaults to the backend in use (DATABASE_URL / config.json storage), --from-url defaults to DATABASE_URL.
+ */
+const option = name => {
+   const index = process.argv.indexOf('--' + name)
+   return index > -1 && process.argv[index + 1] && !process.argv[index + 1].startsWith('--') ? process.argv[index + 1] : null
+}
+
+const main = async () => {
+   const from = option('from') || backend.detect(process.env.DATABASE_URL, env.storage)
+   const to = option('to')
+   const fromUrl = option('from-url') || process.env.DATABASE_URL
+   const toUrl = option('to-url')
+   const name = option('name') || env.database
+   if (!to || !backend.types.includes(to) || !backend.types.includes(from)) {
+      console.log(`Usage : node dbmigrate.js --to <${backend.types.join('|')}> [--to-url url] [--from <backend>] [--from-url url] [--name ${env.database}] [--session] [--force]`)
+      return 1
+   }
+   if (from == to && (fromUrl || '') == (toUrl || '')) {
+      console.log('Source and target are the same')
+      return 1
+   }
+   const source = await backend.open(from, { url: fromUrl, name })
+   const target = await backend.open(to, { url: toUrl, name, target: true })
+   const result = await backend.copy(source, target, { force: process.argv.includes('--force') }).finally(() => Promise.all([backend.close(source), backend.close(target)]))
+   const session = process.argv.includes('--session') ? await backend.copySession(to, toUrl) : null
+   console.log(backend.report(from, to, result, session))
+   return result.status ? 0 : 2
+}
+
+main().then(code => process.exit(code)).catch(e => {
+   console.log(`Migration failed : ${e.message}`)
+   process.exit(1)
+})
\ No newline at end of file
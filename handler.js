@@ -1,6 +1,5 @@
 const { Component } = require('@neoxr/wb')
 const { Function: Func, Scraper, Cooldown, Spam, Config: env } = new Component
-const cron = require('node-cron')
 const cooldown = new Cooldown(env.cooldown)
 const spam = new Spam({
    RESET_TIMER: env.cooldown,
@@ -9,6 +8,18 @@ const spam = new Spam({
    NOTIFY_THRESHOLD: env.notify_threshold,
    BANNED_THRESHOLD: env.banned_threshold
 })
+const roles = new (require('./lib/system/roles'))
+const errors = new (require('./lib/system/errors'))
+const analytics = new (require('./lib/system/analytics'))
+const Pipeline = require('./lib/system/pipeline')
+const pipeline = require('./lib/system/middleware')
+const economy = new (require('./lib/system/economy'))
+const executor = new (require('./lib/system/executor'))({
+   timeout: env.command_timeout,
+   perUser: env.max_jobs_user,
+   max: env.max_jobs
+})
+const parsePrefix = require('./lib/system/prefix')
 const { NodeCache } = require('@cacheable/node-cache')
 const cache = new NodeCache({
    checkPeriod: 1
@@ -18,9 +29,9 @@ module.exports = async (client, ctx) => {
    var { store, m, body, prefix, plugins, commands, args, command, text, prefixes, core, database } = ctx
    try {
       require('./lib/system/schema')(m, env)
-      let groupSet = global.db.groups.find(v => v.jid === m.chat)
-      let chats = global.db.chats.find(v => v.jid === m.chat)
-      let users = global.db.users.find(v => v.jid === m.sender)
+      let groupSet = global.repo.groups.get(m.chat)
+      let chats = global.repo.chats.get(m.chat)
+      let users = global.repo.users.get(m.sender)
       let setting = global.db.setting
       let isOwner = [client.decodeJid(client.user.id).replace(/@.+/, ''), env.owner, ...setting.owners].map(v => v + '@s.whatsapp.net').includes(m.sender)
       let isPrem = users && users.premium || isOwner
@@ -29,6 +40,9 @@ module.exports = async (client, ctx) => {
       let adminList = m.isGroup ? await client.groupAdmin(m.chat) : [] || []
       let isAdmin = m.isGroup ? adminList.includes(m.sender) : false
       let isBotAdmin = m.isGroup ? adminList.includes((client.user.id.split`:`[0]) + '@s.whatsapp.net') : false
+      let userRoles = roles.get(m.sender, m.isGroup ? groupSet : null)
+      let lang = global.locale.resolve(users, m.isGroup ? groupSet : null, setting)
+      let status = global.locale.status(lang)
       let blockList = typeof await (await client.fetchBlocklist()) != 'undefined' ? await (await client.fetchBlocklist()) : []
 
       // prevent duplicate messages
@@ -37,14 +51,32 @@ module.exports = async (client, ctx) => {
          cache.set(m.id, true, 5 * 60) // store message ID with a 5 mins TTL
       }
 
+      // group prefix override
+      const groupPrefix = m.isGroup && groupSet && groupSet.prefix ? groupSet.prefix : null
+      const noprefix = groupPrefix ? groupSet.noprefix : (setting.noprefix || (m.isGroup && groupSet && groupSet.noprefix))
+      if (groupPrefix && typeof body === 'string') {
+         const parsed = parsePrefix(body, groupPrefix)
+         prefix = parsed.prefix
+         command = parsed.command
+         args = parsed.args
+         text = parsed.text
+         prefixes = [groupPrefix]
+         if (parsed.prefix) core = { ...core, prefix: parsed.prefix, command: parsed.command }
+      }
+
       const isSpam = spam.detection(client, m, {
          prefix, command, commands, users, cooldown,
          show: 'all', // options: 'all' | 'command-only' | 'message-only' | 'spam-only'| 'none'
          banned_times: users.ban_times
       })
 
-      // exception disabled plugin
-      var plugins = Object.fromEntries(Object.entries(plugins).filter(([name, _]) => !setting.pluginDisable.includes(name)))
+      // exception disabled plugin (global and group)
+      var plugins = Object.fromEntries(Object.entries(plugins).filter(([name, _]) => !setting.pluginDisable.includes(name) && !(m.isGroup && groupSet && (groupSet.pluginDisable || []).includes(name))))
+
+      // resolve runtime aliases into the original command
+      const aliases = setting.aliases || {}
+      if (command && aliases[command] && !commands.includes(command)) command = aliases[command]
+      if (core && core.command && aliases[core.command] && !commands.includes(core.command)) core = { ...core, command: aliases[core.command] }
 
       if (!setting.online) client.sendPresenceUpdate('unavailable', m.chat)
       if (setting.online) {
@@ -54,8 +86,7 @@ module.exports = async (client, ctx) => {
       if (m.isGroup && !isBotAdmin) {
          groupSet.localonly = false
       }
-      if (!users || typeof users.limit === undefined) return global.db.users.push({
-         jid: m.sender,
+      if (!users || typeof users.limit === undefined) return global.repo.users.upsert(m.sender, {
          banned: false,
          limit: env.limit,
          hit: 0,
@@ -64,7 +95,7 @@ module.exports = async (client, ctx) => {
       if (!setting.multiprefix) setting.noprefix = false
       if (setting.debug && !m.fromMe && isOwner) client.reply(m.chat, Func.jsonFormat(m), m)
       if (m.isGroup && !groupSet.stay && (new Date * 1) >= groupSet.expired && groupSet.expired != 0) {
-         return client.reply(m.chat, Func.texted('italic', '🚩 Bot time has expired and will leave from this group, thank you.', null, {
+         return client.reply(m.chat, Func.texted('italic', `🚩 ${global.locale.t(lang, 'system.expired_group')}`, null, {
             mentions: participants.map(v => v.id)
          })).then(async () => {
             groupSet.expired = 0
@@ -72,10 +103,10 @@ module.exports = async (client, ctx) => {
          })
       }
       if (users && (new Date * 1) >= users.expired && users.expired != 0) {
-         return client.reply(users.jid, Func.texted('italic', '🚩 Your premium package has expired, thank you for buying and using our service.')).then(async () => {
+         return client.reply(users.jid, Func.texted('italic', `🚩 ${global.locale.t(lang, 'system.expired_premium')}`)).then(async () => {
             users.premium = false
             users.expired = 0
-            users.limit = env.limit
+            economy.change(users, env.limit - users.limit, 'premium expired')
          })
       }
       if (m.isGroup) groupSet.activity = new Date() * 1
@@ -88,19 +119,11 @@ module.exports = async (client, ctx) => {
          chats.lastseen = new Date * 1
       }
       if (m.isGroup && !m.isBot && users && users.afk > -1) {
-         client.reply(m.chat, `You are back online after being offline for : ${Func.texted('bold', Func.toTime(new Date - users.afk))}\n\n• ${Func.texted('bold', 'Reason')}: ${users.afkReason ? users.afkReason : '-'}`, m)
+         client.reply(m.chat, global.locale.t(lang, 'system.afk_back', { time: Func.texted('bold', Func.toTime(new Date - users.afk)), reason: users.afkReason ? users.afkReason : '-' }), m)
          users.afk = -1
          users.afkReason = ''
          users.afkObj = {}
       }
-      cron.schedule('00 00 * * *', () => {
-         setting.lastReset = new Date * 1
-         global.db.users.filter(v => v.limit < env.limit && !v.premium).map(v => v.limit = env.limit)
-         Object.entries(global.db.statistic).map(([_, prop]) => prop.today = 0)
-      }, {
-         scheduled: true,
-         timezone: process.env.TZ
-      })
       if (m.isGroup && !m.fromMe) {
          let now = new Date() * 1
          if (!groupSet.member[m.sender]) {
@@ -115,18 +138,23 @@ module.exports = async (client, ctx) => {
       if (setting.antispam && isSpam && /(BANNED|NOTIFY|TEMPORARY)/.test(isSpam.state) && !isOwner) return client.reply(m.chat, Func.texted('bold', `🚩 ${isSpam.msg}`), m)
       if (setting.antispam && isSpam && /HOLD/.test(isSpam.state) && !isOwner) return
       // if (body && !setting.self && !setting.noprefix && !core.corePrefix.includes(core.prefix) && commands.includes(core.command) && !env.evaluate_chars.includes(core.command)) return client.reply(m.chat, `🚩 *Prefix needed!*, this bot uses prefix : *[ ${setting.multiprefix ? setting.prefix.join(', ') : setting.onlyprefix} ]*\n\n➠ ${setting.multiprefix ? setting.prefix[0] : setting.onlyprefix}${core.command} ${text || ''}`, m)
-      if (body && !setting.self && core.prefix != setting.onlyprefix && commands.includes(core.command) && !setting.multiprefix && !env.evaluate_chars.includes(core.command)) return client.reply(m.chat, `🚩 *Incorrect prefix!*, this bot uses prefix : *[ ${setting.onlyprefix} ]*\n\n➠ ${setting.onlyprefix + core.command} ${text || ''}`, m)
-      const matcher = Func.matcher(command, commands).filter(v => v.accuracy >= 60)
+      const onlyprefix = groupPrefix || (!setting.multiprefix ? setting.onlyprefix : null)
+      if (body && !setting.self && onlyprefix && core.prefix != onlyprefix && !(noprefix && !core.prefix) && commands.includes(core.command) && !env.evaluate_chars.includes(core.command)) return client.reply(m.chat, `🚩 ${global.locale.t(lang, groupPrefix ? 'system.prefix_group' : 'system.prefix_bot', { prefix: onlyprefix })}\n\n➠ ${onlyprefix + core.command} ${text || ''}`, m)
+      const matcher = Func.matcher(command, [...commands, ...Object.keys(aliases)]).filter(v => v.accuracy >= 60)
       if (prefix && !commands.includes(command) && matcher.length > 0 && !setting.self) {
-         if (!m.isGroup || (m.isGroup && !groupSet.mute)) return client.reply(m.chat, `🚩 Command you are using is wrong, try the following recommendations :\n\n${matcher.map(v => '➠ *' + (prefix ? prefix : '') + v.string + '* (' + v.accuracy + '%)').join('\n')}`, m)
+         if (!m.isGroup || (m.isGroup && !groupSet.mute)) return client.reply(m.chat, `🚩 ${global.locale.t(lang, 'system.recommendation')}\n\n${matcher.map(v => '➠ *' + (prefix ? prefix : '') + v.string + '* (' + v.accuracy + '%)').join('\n')}`, m)
       }
-      if (body && prefix && commands.includes(command) || body && !prefix && commands.includes(command) && setting.noprefix || body && !prefix && commands.includes(command) && env.evaluate_chars.includes(command)) {
-         if (setting.error.includes(command)) return client.reply(m.chat, Func.texted('bold', `🚩 Command _${(prefix ? prefix : '') + command}_ disabled.`), m)
+      if (body && prefix && commands.includes(command) || body && !prefix && commands.includes(command) && noprefix || body && !prefix && commands.includes(command) && env.evaluate_chars.includes(command)) {
+         if (setting.error.includes(command)) return client.reply(m.chat, Func.texted('bold', `🚩 ${global.locale.t(lang, 'system.disabled', { command: (prefix ? prefix : '') + command })}`), m)
+         // a command is disabled in the group through any of its names (usage or hidden)
+         const names = Object.values(plugins).map(v => v.run).filter(v => [].concat(v.usage || [], v.hidden || []).includes(command)).flatMap(v => [].concat(v.usage || [], v.hidden || []))
+         if (m.isGroup && groupSet && (groupSet.commandDisable || []).some(v => v === command || names.includes(v))) return client.reply(m.chat, Func.texted('bold', `🚩 ${global.locale.t(lang, 'system.disabled_group', { command: (prefix ? prefix : '') + command })}`), m)
          if (!m.isGroup && env.blocks.some(no => m.sender.startsWith(no))) return client.updateBlockStatus(m.sender, 'block')
          if (commands.includes(command)) {
             users.hit += 1
             users.usebot = new Date() * 1
             Func.hitstat(command, m.sender)
+            analytics.record(command, m)
          }
          const is_commands = Object.fromEntries(Object.entries(plugins).filter(([name, prop]) => prop.run.usage))
          for (let name in is_commands) {
@@ -134,97 +162,60 @@ module.exports = async (client, ctx) => {
             const turn = cmd.usage instanceof Array ? cmd.usage.includes(command) : cmd.usage instanceof String ? cmd.usage == command : false
             const turn_hidden = cmd.hidden instanceof Array ? cmd.hidden.includes(command) : cmd.hidden instanceof String ? cmd.hidden == command : false
             if (!turn && !turn_hidden) continue
-            if (m.isBot || m.chat.endsWith('broadcast') || /edit/.test(m.mtype)) continue
-            if (setting.self && !isOwner && !m.fromMe) continue
-            if (!m.isGroup && !['owner'].includes(name) && chats && !isPrem && !users.banned && new Date() * 1 - chats.lastchat < env.timeout) continue
-            if (!m.isGroup && !['owner', 'menfess', 'scan', 'verify', 'payment', 'premium'].includes(name) && chats && !isPrem && !users.banned && setting.groupmode) {
-               client.sendMessageModify(m.chat, `⚠️ Using bot in private chat only for premium user, want to upgrade to premium plan ? send *${prefixes[0]}premium* to see benefit and prices.`, m, {
-                  largeThumb: true,
-                  thumbnail: 'https://telegra.ph/file/0b32e0a0bb3b81fef9838.jpg',
-                  url: setting.link
-               }).then(() => chats.lastchat = new Date() * 1)
-               continue
-            }
-            if (!['me', 'owner', 'exec'].includes(name) && users && (users.banned || new Date - users.ban_temporary < env.timeout)) continue
-            if (m.isGroup && !['activation', 'groupinfo'].includes(name) && groupSet.mute) continue
-            if (cmd.owner && !isOwner) {
-               client.reply(m.chat, global.status.owner, m)
-               continue
-            }
-            if (cmd.restrict && !isPrem && !isOwner && text && new RegExp('\\b' + setting.toxic.join('\\b|\\b') + '\\b').test(text.toLowerCase())) {
-               client.reply(m.chat, `⚠️ You violated the *Terms & Conditions* of using bots by using blacklisted keywords, as a penalty for your violation being blocked and banned.`, m).then(() => {
-                  users.banned = true
-                  client.updateBlockStatus(m.sender, 'block')
+            const state = { type: 'command', name, plugin: cmd, client, m, body, args, text, prefix, prefixes, command, users, chats, groupSet, setting, isOwner, isPrem, isAdmin, isBotAdmin, env, executor, lang, params: {} }
+            const pass = await pipeline.run(state, plugins)
+            if (pass === Pipeline.HALT) return
+            if (!pass) continue
+            // every gate passed, take the cooldown token and charge the limit now (another message may have taken them meanwhile)
+            if (state.consume && !state.consume()) continue
+            if (state.charge && !state.charge()) continue
+            try {
+               const job = await executor.run(m.sender, signal => cmd.async(m, { client, args, text, isPrefix: prefix, prefixes, command, groupMetadata, participants, users, chats, groupSet, setting, isOwner, isAdmin, isBotAdmin, roles: userRoles, params: state.params, signal, lang, status, plugins: Object.fromEntries(Object.entries(plugins).filter(([name, _]) => !setting.pluginDisable.includes(name))), blockList, env, ctx, store, database, Func, Scraper }), {
+                  timeout: cmd.timeout ? cmd.timeout * 1000 : env.command_timeout,
+                  bypass: isOwner
                })
-               continue
+               if (job.status === 'busy' && state.refund) state.refund()
+               if (job.status === 'busy') client.reply(m.chat, Func.texted('bold', `🚩 ${global.locale.t(lang, job.scope === 'user' ? 'system.busy_user' : 'system.busy_global')}`), m)
+               if (job.status === 'timeout') client.reply(m.chat, Func.texted('bold', `🚩 ${global.locale.t(lang, 'system.timeout', { command: (prefix ? prefix : '') + command })}`), m)
+               if (job.status === 'done') await pipeline.after(state, plugins, job.result)
+            } catch (e) {
+               console.log(e)
+               client.reportError(m, e, { plugin: name, command })
             }
-            if (cmd.premium && !isPrem) {
-               client.reply(m.chat, global.status.premium, m)
-               continue
-            }
-            if (cmd.limit && users.limit < 1) {
-               client.reply(m.chat, `⚠️ You reached the limit and will be reset at 00.00\n\nTo get more limits upgrade to premium plans.`, m).then(() => users.premium = false)
-               continue
-            }
-            if (cmd.limit && users.limit > 0) {
-               const limit = cmd.limit.constructor.name == 'Boolean' ? 1 : cmd.limit
-               if (users.limit >= limit) {
-                  users.limit -= limit
-               } else {
-                  client.reply(m.chat, Func.texted('bold', `⚠️ Your limit is not enough to use this feature.`), m)
-                  continue
-               }
-            }
-            if (cmd.group && !m.isGroup) {
-               client.reply(m.chat, global.status.group, m)
-               continue
-            } else if (cmd.botAdmin && !isBotAdmin) {
-               client.reply(m.chat, global.status.botAdmin, m)
-               continue
-            } else if (cmd.admin && !isAdmin) {
-               client.reply(m.chat, global.status.admin, m)
-               continue
-            }
-            if (cmd.private && m.isGroup) {
-               client.reply(m.chat, global.status.private, m)
-               continue
-            }
-            cmd.async(m, { client, args, text, isPrefix: prefix, prefixes, command, groupMetadata, participants, users, chats, groupSet, setting, isOwner, isAdmin, isBotAdmin, plugins: Object.fromEntries(Object.entries(plugins).filter(([name, _]) => !setting.pluginDisable.includes(name))), blockList, env, ctx, store, database, Func, Scraper })
             break
          }
       } else {
-         const is_events = Object.fromEntries(Object.entries(plugins).filter(([name, prop]) => !prop.run.usage))
-         for (let name in is_events) {
-            let event = is_events[name].run
-            if ((m.fromMe && m.isBot) || m.chat.endsWith('broadcast') || /pollUpdate/.test(m.mtype)) continue
-            if (!m.isGroup && env.blocks.some(no => m.sender.startsWith(no))) return client.updateBlockStatus(m.sender, 'block')
-            if (setting.self && !['menfess_ev', 'anti_link', 'anti_tagall', 'anti_virtex', 'filter'].includes(event.pluginName) && !isOwner && !m.fromMe) continue
-            if (!['anti_link', 'anti_tagall', 'anti_virtex', 'filter'].includes(name) && users && (users.banned || new Date - users.ban_temporary < env.timeout)) continue
-            if (!['anti_link', 'anti_tagall', 'anti_virtex', 'filter'].includes(name) && groupSet && groupSet.mute) continue
-            if (!m.isGroup && !['menfess_ev', 'chatbot', 'auto_download'].includes(name) && chats && !isPrem && !users.banned && new Date() * 1 - chats.lastchat < env.timeout) continue
-            if (!m.isGroup && setting.groupmode && !['system_ev', 'menfess_ev', 'chatbot', 'auto_download'].includes(name) && !isPrem) return client.sendMessageModify(m.chat, `⚠️ Using bot in private chat only for premium user, want to upgrade to premium plan ? send *${prefixes[0]}premium* to see benefit and prices.`, m, {
-               largeThumb: true,
-               thumbnail: await Func.fetchBuffer('https://telegra.ph/file/0b32e0a0bb3b81fef9838.jpg'),
-               url: setting.link
-            }).then(() => chats.lastchat = new Date() * 1)
-            if (event.error) continue
-            if (event.owner && !isOwner) continue
-            if (event.group && !m.isGroup) continue
-            if (event.limit && !event.game && users.limit < 1 && body && Func.generateLink(body) && Func.generateLink(body).some(v => Func.socmed(v))) return client.reply(m.chat, `⚠️ You reached the limit and will be reset at 00.00\n\nTo get more limits upgrade to premium plan.`, m).then(() => {
-               users.premium = false
-               users.expired = 0
-            })
-            if (event.botAdmin && !isBotAdmin) continue
-            if (event.admin && !isAdmin) continue
-            if (event.private && m.isGroup) continue
-            if (event.download && body && Func.socmed(body) && !setting.autodownload && Func.generateLink(body) && Func.generateLink(body).some(v => Func.socmed(v))) continue
-            event.async(m, { client, body, prefixes, groupMetadata, participants, users, chats, groupSet, setting, isOwner, isAdmin, isBotAdmin, plugins: Object.fromEntries(Object.entries(plugins).filter(([name, _]) => !setting.pluginDisable.includes(name))), blockList, env, ctx, store, database, Func, Scraper })
+         const is_events = Object.fromEntries(Object.entries(plugins).filter(([name, prop]) => !prop.run.usage && prop.run.async))
+         // events run by priority tier (higher first), plugins of the same tier run concurrently
+         const tiers = [...new Set(Object.values(is_events).map(v => v.run.priority || 0))].sort((a, b) => b - a)
+         for (let tier of tiers) {
+            const jobs = []
+            for (let name in is_events) {
+               let event = is_events[name].run
+               if ((event.priority || 0) !== tier) continue
+               const state = { type: 'event', name, plugin: event, client, m, body, prefixes, users, chats, groupSet, setting, isOwner, isPrem, isAdmin, isBotAdmin, env, lang }
+               const pass = await pipeline.run(state, plugins)
+               if (pass === Pipeline.HALT) return
+               if (!pass) continue
+               jobs.push(Promise.resolve(event.async(m, { client, body, prefixes, groupMetadata, participants, users, chats, groupSet, setting, isOwner, isAdmin, isBotAdmin, lang, status, plugins: Object.fromEntries(Object.entries(plugins).filter(([name, _]) => !setting.pluginDisable.includes(name))), blockList, env, ctx, store, database, Func, Scraper })).then(async result => {
+                  await pipeline.after(state, plugins, result)
+                  return result
+               }).catch(e => {
+                  console.log(e)
+                  errors.capture(e, { plugin: name, chat: m.chat, sender: m.sender })
+               }))
+            }
+            // the last tier is left running in the background, there is nothing to short-circuit
+            if (tier === tiers[tiers.length - 1]) break
+            if ((await Promise.all(jobs)).includes(Pipeline.CONSUMED)) break
          }
       }
    } catch (e) {
+      const id = errors.capture(e, { plugin: 'handler', command, chat: m.chat, sender: m.sender })
       if (/(undefined|overlimit|timed|timeout|users|item|time)/ig.test(e.message)) return
       console.log(e)
-      if (!m.fromMe) return m.reply(Func.jsonFormat(new Error('neoxr-bot encountered an error :' + e)))
+      const lang = global.locale.from(m)
+      if (!m.fromMe) return m.reply(Func.texted('bold', `🚩 ${global.locale.t(lang, 'system.reference', { error: global.locale.status(lang).error, id })}`))
    }
    Func.reload(require.resolve(__filename))
 }
\ No newline at end of file
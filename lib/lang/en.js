@@ -0,0 +1,52 @@
+module.exports = {
+   name: 'English',
+   status: {
+      invalid: 'Invalid url',
+      wrong: 'Wrong format.',
+      fail: 'Can\'t get metadata',
+      error: 'Error occurred',
+      errorF: 'Sorry this feature is in error.',
+      premium: 'This feature only for premium user.',
+      auth: 'You do not have permission to use this feature, ask the owner first.',
+      owner: 'This command only for owner.',
+      group: 'This command will only work in groups.',
+      botAdmin: 'This command will work when I become an admin.',
+      admin: 'This command only for group admin.',
+      role: 'You do not have the required role to use this feature.',
+      private: 'Use this command in private chat.',
+      gameSystem: 'Game features have been disabled.',
+      gameInGroup: 'Game features have not been activated for this group.',
+      gameLevel: 'You cannot play the game because your level has reached the maximum limit.'
+   },
+   system: {
+      expired_group: 'Bot time has expired and will leave from this group, thank you.',
+      expired_premium: 'Your premium package has expired, thank you for buying and using our service.',
+      afk_back: 'You are back online after being offline for : {time}\n\n• *Reason* : {reason}',
+      prefix_group: '*Incorrect prefix!*, this group uses prefix : *[ {prefix} ]*',
+      prefix_bot: '*Incorrect prefix!*, this bot uses prefix : *[ {prefix} ]*',
+      recommendation: 'Command you are using is wrong, try the following recommendations :',
+      disabled: 'Command _{command}_ disabled.',
+      disabled_group: 'Command _{command}_ disabled in this group.',
+      busy_user: 'You still have commands running, wait until they finish.',
+      busy_global: 'Bot is busy right now, try again in a moment.',
+      timeout: 'Command {command} is taking too long, it keeps running in the background and the result will be sent once it is done.',
+      cooldown: 'Command {command} is cooling down, try again in {wait}s.',
+      reference: '{error}, reference : {id}',
+      groupmode: 'Using bot in private chat only for premium user, want to upgrade to premium plan ? send *{command}* to see benefit and prices.',
+      restrict: 'You violated the *Terms & Conditions* of using bots by using blacklisted keywords, as a penalty for your violation being blocked and banned.',
+      limit_reached: 'You reached the limit and will be reset at 00.00\n\nTo get more limits upgrade to premium plan.',
+      limit_not_enough: 'Your limit is not enough to use this feature.',
+      invalid_argument: '*Invalid argument* : {error}',
+      usage: '*Usage* : {usage}',
+      example: '*Example* : {example}'
+   },
+   lang: {
+      current: '*Language* : {user} (you), {group} (group), {global} (global)',
+      available: '*Available* : {list}',
+      unknown: 'Language {lang} is not available, use one of : {list}.',
+      user: 'Your language successfully changed to {name}.',
+      group: 'Group language successfully changed to {name}.',
+      global: 'Default language successfully changed to {name}.',
+      reset: 'Language setting successfully reset.'
+   }
+}
@@ -0,0 +1,52 @@
+module.exports = {
+   name: 'Bahasa Indonesia',
+   status: {
+      invalid: 'Url tidak valid',
+      wrong: 'Format salah.',
+      fail: 'Tidak dapat mengambil metadata',
+      error: 'Terjadi kesalahan',
+      errorF: 'Maaf fitur ini sedang error.',
+      premium: 'Fitur ini hanya untuk pengguna premium.',
+      auth: 'Kamu tidak memiliki izin untuk menggunakan fitur ini, tanyakan owner terlebih dahulu.',
+      owner: 'Perintah ini hanya untuk owner.',
+      group: 'Perintah ini hanya dapat digunakan di grup.',
+      botAdmin: 'Perintah ini dapat digunakan ketika bot menjadi admin.',
+      admin: 'Perintah ini hanya untuk admin grup.',
+      role: 'Kamu tidak memiliki role yang dibutuhkan untuk menggunakan fitur ini.',
+      private: 'Gunakan perintah ini di private chat.',
+      gameSystem: 'Fitur game telah dinonaktifkan.',
+      gameInGroup: 'Fitur game belum diaktifkan untuk grup ini.',
+      gameLevel: 'Kamu tidak dapat bermain game karena level kamu sudah mencapai batas maksimal.'
+   },
+   system: {
+      expired_group: 'Masa aktif bot telah habis dan bot akan keluar dari grup ini, terima kasih.',
+      expired_premium: 'Paket premium kamu telah berakhir, terima kasih telah membeli dan menggunakan layanan kami.',
+      afk_back: 'Kamu kembali online setelah offline selama : {time}\n\n• *Alasan* : {reason}',
+      prefix_group: '*Prefix salah!*, grup ini menggunakan prefix : *[ {prefix} ]*',
+      prefix_bot: '*Prefix salah!*, bot ini menggunakan prefix : *[ {prefix} ]*',
+      recommendation: 'Perintah yang kamu gunakan salah, coba rekomendasi berikut :',
+      disabled: 'Perintah _{command}_ dinonaktifkan.',
+      disabled_group: 'Perintah _{command}_ dinonaktifkan di grup ini.',
+      busy_user: 'Masih ada perintah kamu yang berjalan, tunggu hingga selesai.',
+      busy_global: 'Bot sedang sibuk, coba lagi sebentar lagi.',
+      timeout: 'Perintah {command} memakan waktu lama, perintah tetap berjalan di latar belakang dan hasilnya dikirim setelah selesai.',
+      cooldown: 'Perintah {command} sedang cooldown, coba lagi dalam {wait} detik.',
+      reference: '{error}, referensi : {id}',
+      groupmode: 'Menggunakan bot di private chat hanya untuk pengguna premium, ingin upgrade ke paket premium ? kirim *{command}* untuk melihat keuntungan dan harga.',
+      restrict: 'Kamu melanggar *Syarat & Ketentuan* penggunaan bot dengan menggunakan kata terlarang, sebagai hukuman kamu diblokir dan dibanned.',
+      limit_reached: 'Limit kamu telah habis dan akan direset pada pukul 00.00\n\nUntuk mendapatkan limit lebih upgrade ke paket premium.',
+      limit_not_enough: 'Limit kamu tidak cukup untuk menggunakan fitur ini.',
+      invalid_argument: '*Argumen tidak valid* : {error}',
+      usage: '*Penggunaan* : {usage}',
+      example: '*Contoh* : {example}'
+   },
+   lang: {
+      current: '*Bahasa* : {user} (kamu), {group} (grup), {global} (global)',
+      available: '*Tersedia* : {list}',
+      unknown: 'Bahasa {lang} tidak tersedia, gunakan salah satu dari : {list}.',
+      user: 'Bahasa kamu berhasil diubah ke {name}.',
+      group: 'Bahasa grup berhasil diubah ke {name}.',
+      global: 'Bahasa default berhasil diubah ke {name}.',
+      reset: 'Pengaturan bahasa berhasil direset.'
+   }
+}
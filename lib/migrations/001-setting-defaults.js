@@ -0,0 +1,15 @@
+const { models } = require('../system/models')
+
+// schema.js used to build the default setting into a variable that was never assigned back,
+// so databases created with an earlier setting are missing newer keys
+module.exports = {
+   description: 'Fill missing setting keys',
+   up: (db, log) => {
+      if (!db.setting || typeof db.setting !== 'object' || Array.isArray(db.setting)) db.setting = {}
+      for (const [key, value] of Object.entries(models.setting)) {
+         if (key in db.setting) continue
+         db.setting[key] = JSON.parse(JSON.stringify(value))
+         log(`setting.${key} added`)
+      }
+   }
+}
\ No newline at end of file
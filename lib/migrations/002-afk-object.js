@@ -0,0 +1,15 @@
+// users.afkObj used to hold the whole serialized message, only the key and the content are needed to quote it
+module.exports = {
+   description: 'Shrink users.afkObj to the quoted message',
+   up: (db, log) => {
+      let count = 0
+      for (const user of db.users || []) {
+         const obj = user.afkObj
+         if (!obj || typeof obj !== 'object' || Object.keys(obj).length < 1) continue
+         if (Object.keys(obj).every(v => ['key', 'message'].includes(v))) continue
+         user.afkObj = obj.key && obj.message ? { key: obj.key, message: obj.message } : {}
+         count++
+      }
+      if (count) log(`${count} users.afkObj shrunk`)
+   }
+}
\ No newline at end of file
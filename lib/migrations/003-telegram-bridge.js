@@ -0,0 +1,22 @@
+const { models } = require('../system/models')
+
+// the bridge config is read from setting.telegramBridge but could be left at the root of the database
+// or be replaced by { enabled } only when toggled with the bridge command
+module.exports = {
+   description: 'Move telegramBridge into setting and fill its defaults',
+   up: (db, log) => {
+      if (!db.setting || typeof db.setting !== 'object') db.setting = {}
+      const current = db.setting.telegramBridge && typeof db.setting.telegramBridge === 'object' ? db.setting.telegramBridge : {}
+      if (db.telegramBridge && typeof db.telegramBridge === 'object') {
+         Object.assign(current, { ...db.telegramBridge, ...current })
+         delete db.telegramBridge
+         log('telegramBridge moved into setting')
+      }
+      const defaults = JSON.parse(JSON.stringify(models.telegramBridge))
+      const merged = { ...defaults, ...current, features: { ...defaults.features, ...(current.features || {}) } }
+      if (JSON.stringify(merged) !== JSON.stringify(db.setting.telegramBridge)) {
+         db.setting.telegramBridge = merged
+         log('setting.telegramBridge defaults filled')
+      }
+   }
+}
\ No newline at end of file
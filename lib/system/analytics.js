@@ -0,0 +1,222 @@
+const moment = require('moment-timezone')
+
+const UNITS = {
+   hour: { format: 'YYYYMMDDHH', step: 'hours' },
+   day: { format: 'YYYYMMDD', step: 'days' },
+   week: { format: 'GGGG[W]WW', step: 'weeks' }
+}
+
+// per entry counters, e.g. the commands used in a group or the members using them
+const BREAKDOWNS = ['commands', 'groups', 'users']
+
+module.exports = class Analytics {
+   /**
+    * @param {object} [retention] - How many buckets are kept per unit, older buckets are dropped.
+    * @param {number} [retention.hour=48]
+    * @param {number} [retention.day=60]
+    * @param {number} [retention.week=26]
+    * @param {number} [retention.idle=90] - Days without hits before a user or group entry is removed.
+    * @param {object} [retention.user] - Buckets kept per user entry, only what .stats user shows (24 hours, 7 days, 8 weeks).
+    * @param {number} [retention.breakdown=50] - Rows kept per breakdown counter, the smallest counts are dropped.
+    * @param {number} [retention.users=1000] - Maximum user entries, the least recently active are dropped.
+    */
+   constructor(retention = {}) {
+      this.retention = {
+         hour: retention.hour || 48,
+         day: retention.day || 60,
+         week: retention.week || 26,
+         idle: retention.idle || 90,
+         user: { hour: 24, day: 7, week: 8, ...(retention.user || {}) },
+         breakdown: retention.breakdown || 50,
+         users: retention.users || 1000
+      }
+   }
+
+   /**
+    * Gets how many buckets are kept for entries of a scope.
+    * @param {string} scope - commands, groups or users.
+    * @returns {object} - { hour, day, week }
+    */
+   keep = scope => scope === 'users' ? this.retention.user : this.retention
+
+   /**
+    * Returns the analytics storage, db.analytics holds entries for commands, groups and users.
+    * @returns {object}
+    */
+   store = () => {
+      if (!global.db.analytics || typeof global.db.analytics !== 'object') global.db.analytics = {}
+      const data = global.db.analytics
+      for (const scope of ['commands', 'groups', 'users']) {
+         if (!data[scope] || typeof data[scope] !== 'object') data[scope] = {}
+      }
+      return data
+   }
+
+   /**
+    * Gets the bucket key of a time.
+    * @param {string} unit - hour, day or week.
+    * @param {number|Date} [time] - The time, default is now.
+    * @returns {string}
+    */
+   key = (unit, time = Date.now()) => moment(time).format(UNITS[unit].format)
+
+   /**
+    * Increments every bucket of an entry, creating it when needed.
+    * @param {object} scope - The scope storage (commands, groups or users).
+    * @param {string} id - Entry ID (command name or JID).
+    * @param {object} [breakdown] - Extra counters, e.g. { commands: 'sticker' }.
+    * @param {number} [now] - Current timestamp.
+    * @param {object} [keep] - Buckets kept per unit, see keep().
+    */
+   increment = (scope, id, breakdown = {}, now = Date.now(), keep = this.retention) => {
+      const entry = scope[id] || (scope[id] = { total: 0, hour: {}, day: {}, week: {}, last: 0 })
+      entry.total += 1
+      entry.last = now
+      for (const unit of Object.keys(UNITS)) {
+         const key = this.key(unit, now)
+         if (!(key in entry[unit])) this.trim(entry[unit], keep[unit] - 1)
+         entry[unit][key] = (entry[unit][key] || 0) + 1
+      }
+      for (const [name, value] of Object.entries(breakdown)) {
+         if (!value) continue
+         if (!entry[name]) entry[name] = {}
+         entry[name][value] = (entry[name][value] || 0) + 1
+      }
+   }
+
+   /**
+    * Drops the oldest buckets so at most `keep` buckets remain.
+    * @param {object} buckets - Buckets keyed by time key.
+    * @param {number} keep - Number of buckets to keep.
+    */
+   trim = (buckets, keep) => {
+      const keys = Object.keys(buckets).sort()
+      for (const key of keys.slice(0, Math.max(0, keys.length - keep))) delete buckets[key]
+   }
+
+   /**
+    * Keeps the largest rows of a breakdown counter.
+    * @param {object} counter - Object keyed by name with a count.
+    * @param {number} keep - Number of rows to keep.
+    */
+   cut = (counter, keep) => {
+      const rows = Object.entries(counter)
+      if (rows.length <= keep) return
+      for (const [name] of rows.sort((a, b) => b[1] - a[1]).slice(keep)) delete counter[name]
+   }
+
+   /**
+    * Records a command hit for the command, the group (if any) and the user.
+    * @param {string} command - The command used.
+    * @param {object} m - The message object.
+    * @param {number} [now] - Current timestamp.
+    */
+   record = (command, m, now = Date.now()) => {
+      const data = this.store()
+      this.increment(data.commands, command, { groups: m.isGroup ? m.chat : null }, now)
+      if (m.isGroup) this.increment(data.groups, m.chat, { commands: command, users: m.sender }, now)
+      this.increment(data.users, m.sender, { commands: command }, now, this.keep('users'))
+   }
+
+   /**
+    * Removes idle entries, buckets beyond the retention, small breakdown rows and the least active users beyond the cap,
+    * called daily by the scheduler.
+    * @param {number} [now] - Current timestamp.
+    * @returns {number} - Number of removed entries.
+    */
+   prune = (now = Date.now()) => {
+      const data = this.store()
+      let removed = 0
+      for (const scope of ['commands', 'groups', 'users']) {
+         for (const [id, entry] of Object.entries(data[scope])) {
+            if (now - (entry.last || 0) > this.retention.idle * 86_400_000) {
+               delete data[scope][id]
+               removed++
+               continue
+            }
+            for (const unit of Object.keys(UNITS)) this.trim(entry[unit] || {}, this.keep(scope)[unit])
+            for (const name of BREAKDOWNS) if (entry[name]) this.cut(entry[name], this.retention.breakdown)
+         }
+      }
+      const users = Object.entries(data.users)
+      if (users.length > this.retention.users) {
+         for (const [id] of users.sort((a, b) => (b[1].last || 0) - (a[1].last || 0)).slice(this.retention.users)) {
+            delete data.users[id]
+            removed++
+         }
+      }
+      return removed
+   }
+
+   /**
+    * Gets an entry.
+    * @param {string} scope - commands, groups or users.
+    * @param {string} id - Entry ID.
+    * @returns {object|undefined}
+    */
+   get = (scope, id) => this.store()[scope][id]
+
+   /**
+    * Builds the series of the last n buckets, oldest first, missing buckets are 0.
+    * @param {object} entry - The entry.
+    * @param {string} unit - hour, day or week.
+    * @param {number} n - Number of buckets.
+    * @param {number} [now] - Current timestamp.
+    * @returns {number[]}
+    */
+   series = (entry, unit, n, now = Date.now()) => {
+      return Array.from({ length: n }, (_, i) => (entry?.[unit] || {})[this.key(unit, moment(now).subtract(n - 1 - i, UNITS[unit].step))] || 0)
+   }
+
+   /**
+    * Sums the current hour, today and this week of an entry.
+    * @param {object} entry - The entry.
+    * @param {number} [now] - Current timestamp.
+    * @returns {object} - { hour, day, week, total }
+    */
+   summary = (entry, now = Date.now()) => ({
+      hour: entry?.hour?.[this.key('hour', now)] || 0,
+      day: entry?.day?.[this.key('day', now)] || 0,
+      week: entry?.week?.[this.key('week', now)] || 0,
+      total: entry?.total || 0
+   })
+
+   /**
+    * Sorts a breakdown counter descending.
+    * @param {object} counter - Object keyed by name with a count.
+    * @param {number} [limit=5] - Number of rows.
+    * @returns {Array<[string, number]>}
+    */
+   top = (counter, limit = 5) => Object.entries(counter || {}).sort((a, b) => b[1] - a[1]).slice(0, limit)
+
+   /**
+    * Renders a series as a small bar chart.
+    * @param {number[]} values - The series.
+    * @returns {string}
+    */
+   spark = values => {
+      const bars = '▁▂▃▄▅▆▇█'
+      const max = Math.max(...values, 1)
+      return values.map(v => v ? bars[Math.min(bars.length - 1, Math.floor(v / max * (bars.length - 1)))] : ' ').join('')
+   }
+
+   /**
+    * Exports every bucket as CSV (scope,id,unit,bucket,count) or as the raw JSON.
+    * @param {string} [format='csv'] - csv or json.
+    * @returns {string}
+    */
+   export = (format = 'csv') => {
+      const data = this.store()
+      if (format === 'json') return JSON.stringify(data, null, 2)
+      const rows = ['scope,id,unit,bucket,count']
+      for (const scope of ['commands', 'groups', 'users']) {
+         for (const [id, entry] of Object.entries(data[scope])) {
+            rows.push([scope, id, 'total', '', entry.total].join(','))
+            for (const unit of Object.keys(UNITS)) {
+               for (const [bucket, count] of Object.entries(entry[unit] || {})) rows.push([scope, id, unit, bucket, count].join(','))
+            }
+         }
+      }
+      return rows.join('\n')
+   }
+}
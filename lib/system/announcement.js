@@ -0,0 +1,173 @@
+const { Component } = require('@neoxr/wb')
+const { Function: Func } = new Component
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const scheduler = new (require('./scheduler'))
+
+module.exports = class Announcement {
+   /**
+    * @param {object} [opts] - Announcement options.
+    * @param {number} [opts.max=10] - Maximum announcements per group.
+    * @param {number} [opts.gap=600000] - Minimum time (ms) between two runs of a recurring announcement.
+    * @param {number} [opts.late=3600000] - Recurring runs missed longer than this (e.g. bot was offline) are skipped.
+    * @param {number} [opts.retries=3] - Failed sends of a one-off announcement before it is paused.
+    * @param {string} [opts.dir='announcements'] - Directory of announcement media, only the file path is kept in the database.
+    */
+   constructor(opts = {}) {
+      this.max = opts.max || 10
+      this.gap = opts.gap || 600_000
+      this.late = opts.late || 3_600_000
+      this.retries = opts.retries || 3
+      this.dir = opts.dir || 'announcements'
+   }
+
+   /**
+    * Returns the announcements of a group, stored in the group record.
+    * @param {object} groupSet - The group record.
+    * @returns {object[]}
+    */
+   store = groupSet => {
+      if (!Array.isArray(groupSet.schedules)) groupSet.schedules = []
+      return groupSet.schedules
+   }
+
+   /**
+    * Checks whether a recurring schedule runs more often than allowed.
+    * @param {string} schedule - Cron expression or "every <duration>".
+    * @returns {boolean}
+    */
+   frequent = schedule => {
+      const first = scheduler.next(schedule, Date.now())
+      const second = first ? scheduler.next(schedule, first) : null
+      return Boolean(first && second && second - first < this.gap)
+   }
+
+   /**
+    * Writes announcement media into the media directory.
+    * @param {string} jid - Group JID.
+    * @param {string} id - The announcement ID.
+    * @param {Buffer} buffer - The media.
+    * @param {string} filename - Original file name, the extension is kept.
+    * @returns {string} - The file path.
+    */
+   write = (jid, id, buffer, filename) => {
+      if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true })
+      const file = path.join(this.dir, `${jid.replace(/@.+/, '')}-${id}${path.extname(filename || '')}`)
+      fs.writeFileSync(file, buffer)
+      return file
+   }
+
+   /**
+    * Moves base64 media stored by older versions out of the group record.
+    * @param {object} groupSet - The group record.
+    * @param {object} item - The announcement.
+    */
+   externalize = (groupSet, item) => {
+      if (!item.media || !item.media.data) return
+      const { data, ...media } = item.media
+      item.media = { ...media, path: this.write(groupSet.jid, item.id, Buffer.from(data, 'base64'), media.filename) }
+   }
+
+   /**
+    * Adds an announcement into a group.
+    * @param {object} groupSet - The group record.
+    * @param {object} data - The announcement.
+    * @param {object} data.when - Result of scheduler.resolve(), { schedule } or { at }.
+    * @param {string} [data.text] - Text or media caption.
+    * @param {object} [data.media] - { mimetype, filename, buffer }, the buffer is saved as a file.
+    * @param {string} data.creator - JID of the admin who created it.
+    * @returns {object} - The stored announcement.
+    */
+   add = (groupSet, { when, text, media, creator }) => {
+      const list = this.store(groupSet)
+      let id
+      do id = crypto.randomBytes(2).toString('hex').toUpperCase()
+      while (list.some(v => v.id === id))
+      const item = {
+         id,
+         schedule: when.schedule || null,
+         at: when.at || null,
+         text: text || '',
+         media: media ? { mimetype: media.mimetype, filename: media.filename, path: this.write(groupSet.jid, id, media.buffer, media.filename) } : null,
+         paused: false,
+         lastRun: Date.now(),
+         error: null,
+         failed: 0,
+         creator,
+         created: Date.now()
+      }
+      item.nextRun = item.at ? null : this.next(item)
+      list.push(item)
+      return item
+   }
+
+   /**
+    * Finds an announcement by ID.
+    * @param {object} groupSet - The group record.
+    * @param {string} id - The announcement ID.
+    * @returns {object|undefined}
+    */
+   get = (groupSet, id) => this.store(groupSet).find(v => v.id === String(id || '').toUpperCase())
+
+   /**
+    * Removes an announcement and its media file.
+    * @param {object} groupSet - The group record.
+    * @param {string} id - The announcement ID.
+    * @returns {boolean} - False if it doesn't exist.
+    */
+   remove = (groupSet, id) => {
+      const item = this.get(groupSet, id)
+      if (!item) return false
+      groupSet.schedules = this.store(groupSet).filter(v => v !== item)
+      if (item.media && item.media.path && fs.existsSync(item.media.path)) fs.unlinkSync(item.media.path)
+      return true
+   }
+
+   /**
+    * Calculates the next delivery time of an announcement.
+    * @param {object} item - The announcement.
+    * @param {number} [now] - Current timestamp.
+    * @returns {number|null}
+    */
+   next = (item, now = Date.now()) => item.at || scheduler.next(item.schedule, scheduler.parse(item.schedule).type === 'every' ? item.lastRun || now : now)
+
+   /**
+    * Sends every due announcement of all groups, called every minute by the scheduler.
+    * The due time of a recurring announcement is kept in `nextRun` and only calculated again after a run,
+    * so a tick doesn't step through every minute since the last run.
+    * A one-off announcement is removed once it has been sent, a failed one is retried every run and paused after `retries` failures.
+    * @param {object} client - The socket.
+    * @param {number} [now] - Current timestamp.
+    * @returns {Promise<void>}
+    */
+   deliver = async (client, now = Date.now()) => {
+      for (const groupSet of global.db.groups) {
+         if (!Array.isArray(groupSet.schedules) || groupSet.schedules.length < 1) continue
+         for (const item of [...groupSet.schedules]) {
+            if (item.paused) continue
+            // announcements stored by older versions don't have nextRun yet
+            if (!item.at && typeof item.nextRun === 'undefined') item.nextRun = this.next(item, now)
+            const due = item.at || item.nextRun
+            if (!due || due > now) continue
+            item.lastRun = now
+            if (!item.at) item.nextRun = this.next(item, now)
+            if (!item.at && now - due > this.late) continue
+            try {
+               this.externalize(groupSet, item)
+               if (item.media) await client.sendFile(groupSet.jid, fs.readFileSync(item.media.path), item.media.filename, item.text, null)
+               else await client.reply(groupSet.jid, item.text, null)
+               item.error = null
+               item.failed = 0
+               if (item.at) this.remove(groupSet, item.id)
+            } catch (e) {
+               console.log(e)
+               item.error = e.message
+               item.failed = (item.failed || 0) + 1
+               if (item.at && item.failed >= this.retries) item.paused = true
+            }
+            await Func.delay(1000)
+         }
+      }
+   }
+}
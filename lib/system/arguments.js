@@ -0,0 +1,137 @@
+const { Component } = require('@neoxr/wb')
+const { Function: Func } = new Component
+
+// a mention or phone number, spaces and dashes are removed first
+const PHONE = /^@?\+?\d{5,}$/
+
+module.exports = class Arguments {
+   /**
+    * Units accepted by duration arguments, value in milliseconds.
+    */
+   units = {
+      s: 1000,
+      m: 60 * 1000,
+      h: 60 * 60 * 1000,
+      d: 24 * 60 * 60 * 1000,
+      w: 7 * 24 * 60 * 60 * 1000
+   }
+
+   /**
+    * Converts a duration string into milliseconds.
+    * @param {string} input - Duration such as '30s', '10m', '2h', '1d' or combined like '1h30m'.
+    * @returns {number|null} - Milliseconds, or null if the input is not a valid duration.
+    */
+   parseDuration = input => {
+      const str = String(input || '').trim().toLowerCase()
+      if (!/^(\d+(\.\d+)?[smhdw])+$/.test(str)) return null
+      let total = 0
+      for (const [, value, , unit] of str.matchAll(/(\d+(\.\d+)?)([smhdw])/g)) {
+         total += parseFloat(value) * this.units[unit]
+      }
+      return total > 0 ? Math.round(total) : null
+   }
+
+   /**
+    * Builds the usage line of a command from its argument specs.
+    * Required arguments are wrapped with <>, optional ones with [].
+    * @param {object[]} params - Argument specs declared in plugin metadata.
+    * @returns {string}
+    */
+   usage = params => (params || []).map(v => {
+      const label = v.type === 'enum' && v.values ? v.values.join('/') : v.name
+      return v.optional || typeof v.default !== 'undefined' ? `[${label}]` : `<${label}>`
+   }).join(' ')
+
+   /**
+    * Splits the input into tokens.
+    * When a separator is declared the input is split by it, otherwise by whitespace ignoring lone separators.
+    * @param {string} text - The input after the command.
+    * @param {string} [separator] - Custom separator such as '|'.
+    * @returns {string[]}
+    */
+   tokenize = (text, separator) => {
+      if (!text) return []
+      if (separator) return text.split(separator).map(v => v.trim())
+      return text.trim().split(/\s+/).filter(v => v && v !== '|')
+   }
+
+   /**
+    * Converts a single token based on the argument type.
+    * @param {object} spec - The argument spec.
+    * @param {string} token - The raw token.
+    * @returns {{ value?: any, error?: string }}
+    */
+   convert = (spec, token) => {
+      switch (spec.type) {
+         case 'number': {
+            const value = Number(token)
+            if (isNaN(value)) return { error: `${spec.name} must be a number.` }
+            if (spec.integer && !Number.isInteger(value)) return { error: `${spec.name} must be a whole number.` }
+            if (typeof spec.min !== 'undefined' && value < spec.min) return { error: `${spec.name} must be at least ${spec.min}.` }
+            if (typeof spec.max !== 'undefined' && value > spec.max) return { error: `${spec.name} must be at most ${spec.max}.` }
+            return { value }
+         }
+         case 'duration': {
+            const value = this.parseDuration(token)
+            if (!value) return { error: `${spec.name} must be a duration (e.g. 30s, 10m, 2h, 1d).` }
+            return { value }
+         }
+         case 'jid': {
+            const number = token.replace(/[\s-]/g, '')
+            if (!PHONE.test(number)) return { error: `${spec.name} must be a mention or phone number.` }
+            return { value: number.replace(/\D/g, '') + '@s.whatsapp.net' }
+         }
+         case 'url': {
+            if (!Func.isUrl(token)) return { error: `${spec.name} must be a valid url.` }
+            return { value: token }
+         }
+         case 'enum': {
+            const value = (spec.values || []).find(v => v.toLowerCase() === token.toLowerCase())
+            if (!value) return { error: `${spec.name} must be one of : ${(spec.values || []).join(', ')}.` }
+            return { value }
+         }
+         default:
+            return { value: token }
+      }
+   }
+
+   /**
+    * Parses and validates the command input against the argument specs declared in plugin metadata.
+    * A `jid` argument falls back to the quoted message sender when it's not given in the input.
+    * @param {object} cmd - The plugin metadata (exports.run) with `params` and optional `separator`.
+    * @param {object} m - The message object.
+    * @param {string} text - The input after the command.
+    * @returns {{ status: boolean, params?: object, error?: string }}
+    */
+   parse = (cmd, m, text) => {
+      const specs = cmd.params || []
+      const tokens = this.tokenize(text, cmd.separator)
+      const params = {}
+      for (const spec of specs) {
+         if (spec.type === 'text') {
+            const rest = tokens.splice(0).join(cmd.separator || ' ').trim()
+            if (rest) {
+               params[spec.name] = rest
+               continue
+            }
+         } else if (spec.type === 'jid' && tokens.length && m.mentionedJid && m.mentionedJid.length && /^@/.test(tokens[0])) {
+            tokens.shift()
+            params[spec.name] = m.mentionedJid[0]
+            continue
+         } else if (spec.type === 'jid' && m.quoted && m.quoted.sender && !(tokens.length && PHONE.test(tokens[0].replace(/[\s-]/g, '')))) {
+            params[spec.name] = m.quoted.sender
+            continue
+         } else if (tokens.length && tokens[0] !== '') {
+            const result = this.convert(spec, tokens.shift())
+            if (result.error) return { status: false, error: result.error }
+            params[spec.name] = result.value
+            continue
+         } else if (tokens.length) {
+            tokens.shift()
+         }
+         if (typeof spec.default !== 'undefined') params[spec.name] = spec.default
+         else if (!spec.optional) return { status: false, error: `${spec.name} is required.` }
+      }
+      return { status: true, params }
+   }
+}
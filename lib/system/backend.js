@@ -0,0 +1,156 @@
+const fs = require('fs')
+const path = require('path')
+
+const TYPES = ['local', 'sqlite', 'mongo', 'postgres']
+// key types written by the multi file auth state, longest first so "sender-key-memory" isn't read as "sender-key"
+const KEY_TYPES = ['app-state-sync-version', 'app-state-sync-key', 'sender-key-memory', 'sender-key', 'pre-key', 'session']
+
+module.exports = class Backend {
+   constructor() {
+      this.types = TYPES
+   }
+
+   /**
+    * Detects the backend from the database URL and the storage option of config.json.
+    * @param {string} [url] - Database URL (DATABASE_URL).
+    * @param {string} [storage] - Local storage (local or sqlite).
+    * @returns {string} - local, sqlite, mongo or postgres.
+    */
+   detect = (url, storage) => {
+      if (url && /mongo/.test(url)) return 'mongo'
+      if (url && /postgres/.test(url)) return 'postgres'
+      return storage === 'sqlite' ? 'sqlite' : 'local'
+   }
+
+   /**
+    * Opens a database backend, every backend has the same fetch / save contract.
+    * Documentation : https://github.com/neoxr/database
+    * @param {string} type - local, sqlite, mongo or postgres.
+    * @param {object} opts
+    * @param {string} [opts.url] - Database URL, required for mongo and postgres.
+    * @param {string} opts.name - Database name (config.json database).
+    * @param {boolean} [opts.target=false] - Opened as a migration target, sqlite doesn't import the local JSON file then.
+    * @returns {Promise<object>} - The database.
+    */
+   open = async (type, { url, name, target = false }) => {
+      if (!TYPES.includes(type)) throw new Error(`Unknown backend ${type}, use ${TYPES.join(', ')}`)
+      if (['mongo', 'postgres'].includes(type) && !url) throw new Error(`Backend ${type} needs a database URL`)
+      if (type === 'mongo') return require('@database/mongo').createDatabase(url, name, 'database')
+      if (type === 'postgres') return require('@database/postgres').createDatabase(url, name)
+      if (type === 'sqlite') return new (require('./sqlitedb'))(name, { import: !target })
+      return new (require('./localdb'))(name)
+   }
+
+   /**
+    * Closes a database opened with open(), backends without a connection (local) are left as they are.
+    * @param {object} db - The database.
+    * @returns {Promise<void>}
+    */
+   close = async db => {
+      if (!db) return
+      if (typeof db.close === 'function') return db.close()
+      // mongo and postgres keep their client / pool on the database object
+      const client = db.client || db.pool
+      if (client && typeof client.close === 'function') return client.close()
+      if (client && typeof client.end === 'function') return client.end()
+   }
+
+   /**
+    * Opens the auth session of a backend, null for local means the session folder.
+    * Documentation : https://github.com/neoxr/session
+    * @param {string} type - local, sqlite, mongo or postgres.
+    * @returns {Function|null} - The auth state function, called with (url, 'session').
+    */
+   session = type => {
+      if (type === 'mongo') return require('@session/mongo').useMongoAuthState
+      if (type === 'postgres') return require('@session/postgres').usePostgresAuthState
+      return null
+   }
+
+   /**
+    * Counts the records of a database object.
+    * @param {object} data - The database object.
+    * @returns {object} - Count per top level key (array length or number of keys).
+    */
+   counts = data => {
+      const counts = {}
+      for (const [key, value] of Object.entries(data || {})) {
+         counts[key] = Array.isArray(value) ? value.length : value && typeof value === 'object' ? Object.keys(value).length : 1
+      }
+      return counts
+   }
+
+   /**
+    * Copies a database to another backend then fetches it back to verify the record counts.
+    * @param {object} source - Source database (fetch / save).
+    * @param {object} target - Target database (fetch / save).
+    * @param {object} [opts]
+    * @param {object} [opts.data] - Data to copy instead of fetching the source (e.g. global.db of the running bot).
+    * @param {boolean} [opts.force=false] - Overwrite a target that already has data.
+    * @returns {Promise<object>} - { source, target, mismatches, status }
+    */
+   copy = async (source, target, { data, force = false } = {}) => {
+      data = data || await source.fetch()
+      if (!data || Object.keys(data).length < 1) throw new Error('Source database is empty')
+      if (!force) {
+         const existing = await target.fetch()
+         const used = Object.values(this.counts(existing)).some(v => v > 0)
+         if (used) throw new Error('Target database already has data, use force to overwrite it')
+      }
+      await target.save(data)
+      const saved = await target.fetch() || {}
+      const counts = { source: this.counts(data), target: this.counts(saved) }
+      // an empty collection may not be stored at all (sqlite), so missing counts as 0
+      const mismatches = Object.keys(counts.source).filter(key => counts.source[key] !== (counts.target[key] || 0))
+      return { ...counts, mismatches, status: mismatches.length < 1 }
+   }
+
+   /**
+    * Copies the local session folder (multi file auth state) into a mongo or postgres session.
+    * Keys can't be listed from a remote session, so only local to remote is supported, a remote session can't be copied back to the folder.
+    * @param {string} type - Target backend, mongo or postgres.
+    * @param {string} url - Target database URL.
+    * @param {string} [dir='session'] - Local session folder.
+    * @returns {Promise<object>} - { creds, keys } number of copied items.
+    */
+   copySession = async (type, url, dir = 'session') => {
+      const auth = this.session(type)
+      if (!auth) throw new Error('Session can only be copied from the local session folder to mongo or postgres')
+      if (!fs.existsSync(path.join(dir, 'creds.json'))) throw new Error(`No session found in ./${dir}`)
+      const { BufferJSON } = require('baileys')
+      const read = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'), BufferJSON.reviver)
+      const { state, saveCreds } = await auth(url, 'session')
+      if (!state || !state.keys || typeof saveCreds !== 'function') throw new Error(`The ${type} session module doesn't return an auth state`)
+      const keys = {}
+      let count = 0
+      for (const file of fs.readdirSync(dir)) {
+         const kind = KEY_TYPES.find(v => file.startsWith(v + '-'))
+         if (!kind || !file.endsWith('.json')) continue
+         // reverse the file name escaping of the multi file auth state ("/" => "__", ":" => "-")
+         const id = file.slice(kind.length + 1, -5).replace(/__/g, '/').replace(/--/g, '::')
+         if (!keys[kind]) keys[kind] = {}
+         keys[kind][id] = read(file)
+         count++
+      }
+      Object.assign(state.creds, read('creds.json'))
+      await state.keys.set(keys)
+      await saveCreds()
+      return { creds: 1, keys: count }
+   }
+
+   /**
+    * Renders a copy result as text.
+    * @param {string} from - Source backend.
+    * @param {string} to - Target backend.
+    * @param {object} result - Result of copy().
+    * @param {object} [session] - Result of copySession().
+    * @returns {string}
+    */
+   report = (from, to, result, session) => {
+      let teks = `Database : ${from} ➠ ${to}\n`
+      teks += Object.keys(result.source).map(key => `${result.mismatches.includes(key) ? '✗' : '✓'} ${key} : ${result.source[key]} ➠ ${result.target[key] ?? 0}`).join('\n')
+      if (session) teks += `\n\nSession : creds and ${session.keys} keys copied`
+      teks += `\n\n${result.status ? 'All record counts match.' : 'Record counts don\'t match : ' + result.mismatches.join(', ')}`
+      return teks
+   }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const crypto = require('crypto')
+const { models } = require('./models')
+
+const MAGIC = Buffer.from('NXBK')
+const SECTIONS = ['users', 'groups', 'chats', 'setting', 'statistic']
+
+module.exports = class Backup {
+   /**
+    * Creates compressed backups encrypted with AES-256-GCM, the key is derived from a password with scrypt.
+    * @param {object} [opts] - Backup options.
+    * @param {string} [opts.dir='backups'] - Directory where backups are kept.
+    * @param {string} [opts.name='data'] - Prefix of the backup file names.
+    * @param {number} [opts.keep=7] - Number of backups kept on disk, the oldest are deleted.
+    * @param {string} [opts.password] - Encryption password, backups are only compressed without it.
+    */
+   constructor(opts = {}) {
+      this.dir = opts.dir || 'backups'
+      this.name = opts.name || 'data'
+      this.keep = opts.keep || 7
+      this.password = opts.password || ''
+      this.sections = SECTIONS
+   }
+
+   /**
+    * Serializes, compresses and encrypts data.
+    * Layout : "NXBK" | version (1) | flags (1, bit 1 = encrypted) | salt (16) | iv (12) | tag (16) | payload.
+    * @param {object} data - The database object.
+    * @returns {Buffer}
+    */
+   pack = data => {
+      const compressed = zlib.gzipSync(JSON.stringify(data))
+      if (!this.password) return Buffer.concat([MAGIC, Buffer.from([1, 0]), compressed])
+      const salt = crypto.randomBytes(16)
+      const iv = crypto.randomBytes(12)
+      const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(this.password, salt, 32), iv)
+      const encrypted = Buffer.concat([cipher.update(compressed), cipher.final()])
+      return Buffer.concat([MAGIC, Buffer.from([1, 1]), salt, iv, cipher.getAuthTag(), encrypted])
+   }
+
+   /**
+    * Reads a backup, plain JSON backups made before encryption are accepted too.
+    * @param {Buffer} buffer - The backup content.
+    * @param {string} [password] - Password, defaults to the configured one.
+    * @returns {object} - The database object.
+    * @throws {Error} - When the password is wrong or the file is damaged.
+    */
+   unpack = (buffer, password = this.password) => {
+      if (!buffer.subarray(0, 4).equals(MAGIC)) return JSON.parse(buffer.toString('utf-8'))
+      const encrypted = buffer[5] & 1
+      let compressed = buffer.subarray(6)
+      if (encrypted) {
+         if (!password) throw new Error('This backup is encrypted and no password is set')
+         const salt = buffer.subarray(6, 22)
+         const iv = buffer.subarray(22, 34)
+         const tag = buffer.subarray(34, 50)
+         const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.scryptSync(password, salt, 32), iv)
+         decipher.setAuthTag(tag)
+         try {
+            compressed = Buffer.concat([decipher.update(buffer.subarray(50)), decipher.final()])
+         } catch {
+            throw new Error('Wrong password or damaged backup')
+         }
+      }
+      return JSON.parse(zlib.gunzipSync(compressed).toString('utf-8'))
+   }
+
+   /**
+    * Writes a backup into the backup directory and deletes the ones beyond the retention.
+    * @param {object} data - The database object.
+    * @returns {object} - { file, buffer }
+    */
+   write = data => {
+      if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true })
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+      const file = path.join(this.dir, `${this.name}-${stamp}.bak`)
+      const buffer = this.pack(data)
+      fs.writeFileSync(file, buffer)
+      for (const old of this.list().slice(this.keep)) fs.unlinkSync(old.file)
+      return { file, buffer }
+   }
+
+   /**
+    * Lists the backups on disk, newest first.
+    * @returns {object[]} - [{ name, file, size, time }]
+    */
+   list = () => {
+      if (!fs.existsSync(this.dir)) return []
+      return fs.readdirSync(this.dir).filter(v => v.endsWith('.bak')).map(name => {
+         const file = path.join(this.dir, name)
+         const stat = fs.statSync(file)
+         return { name, file, size: stat.size, time: stat.mtimeMs }
+      }).sort((a, b) => b.time - a.time || b.name.localeCompare(a.name))
+   }
+
+   /**
+    * Checks a value against the type of a model value.
+    * @param {any} value - The value.
+    * @param {any} model - The model value.
+    * @returns {boolean}
+    */
+   sameType = (value, model) => {
+      if (Array.isArray(model)) return Array.isArray(value)
+      if (model && typeof model === 'object') return !!value && typeof value === 'object' && !Array.isArray(value)
+      return typeof value === typeof model
+   }
+
+   /**
+    * Validates the structure of a backup against models.js.
+    * @param {object} data - The database object.
+    * @returns {object} - { status, errors }
+    */
+   validate = data => {
+      const errors = []
+      if (!data || typeof data !== 'object' || Array.isArray(data)) return { status: false, errors: ['backup is not an object'] }
+      for (const section of ['users', 'groups', 'chats']) {
+         if (!(section in data)) continue
+         if (!Array.isArray(data[section])) {
+            errors.push(`${section} is not a list`)
+            continue
+         }
+         data[section].forEach((record, i) => {
+            if (!record || typeof record !== 'object' || typeof record.jid !== 'string') return errors.push(`${section}[${i}] has no jid`)
+            for (const [key, model] of Object.entries(models[section])) {
+               if (key in record && !this.sameType(record[key], model)) errors.push(`${section}[${record.jid}].${key} should be ${Array.isArray(model) ? 'array' : typeof model}`)
+            }
+         })
+      }
+      if ('setting' in data) {
+         if (!this.sameType(data.setting, {})) errors.push('setting is not an object')
+         else for (const [key, model] of Object.entries(models.setting)) {
+            if (key in data.setting && !this.sameType(data.setting[key], model)) errors.push(`setting.${key} should be ${Array.isArray(model) ? 'array' : typeof model}`)
+         }
+      }
+      if ('statistic' in data && !this.sameType(data.statistic, {})) errors.push('statistic is not an object')
+      if (!SECTIONS.some(v => v in data)) errors.push('backup has none of ' + SECTIONS.join(', '))
+      return { status: errors.length < 1, errors }
+   }
+
+   /**
+    * Summarizes what a restore would change per section.
+    * @param {object} current - The current database.
+    * @param {object} incoming - The backup.
+    * @param {string[]} [sections] - Sections to compare.
+    * @returns {object} - Keyed by section : { current, incoming, added, removed, changed }
+    */
+   diff = (current, incoming, sections = SECTIONS) => {
+      const summary = {}
+      for (const section of sections) {
+         if (!(section in incoming)) continue
+         const entries = value => Array.isArray(value)
+            ? new Map(value.map(v => [v.jid, JSON.stringify(v)]))
+            : new Map(Object.entries(value || {}).map(([k, v]) => [k, JSON.stringify(v)]))
+         const before = entries(current[section])
+         const after = entries(incoming[section])
+         const result = { current: before.size, incoming: after.size, added: 0, removed: 0, changed: 0 }
+         for (const [id, json] of after) {
+            if (!before.has(id)) result.added++
+            else if (before.get(id) !== json) result.changed++
+         }
+         for (const id of before.keys()) if (!after.has(id)) result.removed++
+         summary[section] = result
+      }
+      return summary
+   }
+
+   /**
+    * Replaces the selected sections of the database with the backup.
+    * @param {object} current - The current database (global.db), changed in place.
+    * @param {object} incoming - The backup.
+    * @param {string[]} [sections] - Sections to restore.
+    * @returns {string[]} - The restored sections.
+    */
+   restore = (current, incoming, sections = SECTIONS) => {
+      const restored = sections.filter(v => SECTIONS.includes(v) && v in incoming)
+      for (const section of restored) current[section] = incoming[section]
+      return restored
+   }
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 const { Component } = require('@neoxr/wb')
 const { Function: Func } = new Component
 const mime = require('mime-types').lookup
+const errors = new (require('./errors'))
 
 module.exports = client => {
    /**
@@ -45,8 +46,27 @@ module.exports = client => {
     * @returns {string|null} - The name of the user, or null if the user is not found.
     */
    client.getName = jid => {
-      const isFound = global.db.users.find(v => v.jid === client.decodeJid(jid))
+      const isFound = global.repo.users.get(client.decodeJid(jid))
       if (!isFound) return null
       return isFound.name
    }
+
+   /**
+    * Captures an error thrown inside a plugin and replies with a short reference instead of the error details.
+    * The owner can inspect the error later using the reference with the errors command.
+    * @param {object} m - The message object where the error happened.
+    * @param {Error} e - The error object.
+    * @param {object} [context] - Extra context such as plugin and command name (optional).
+    * @returns {Promise} - A promise that resolves once the reply has been sent.
+    */
+   client.reportError = (m, e, context = {}) => {
+      const id = errors.capture(e, {
+         chat: m.chat,
+         sender: m.sender,
+         command: typeof m.text === 'string' && m.text ? m.text.trim().split(/\s+/)[0].slice(0, 30) : null,
+         ...context
+      })
+      const lang = global.locale.from(m)
+      return client.reply(m.chat, Func.texted('bold', `🚩 ${global.locale.t(lang, 'system.reference', { error: global.locale.status(lang).error, id })}`), m)
+   }
 }
\ No newline at end of file
@@ -3,20 +3,10 @@ const { Function: Func, NeoxrApi } = new Component
 global.Api = new NeoxrApi('https://api.neoxr.my.id/api', process.env.API_KEY)
 global.header = `© neoxr-bot v${require('package.json').version} (Beta)`
 global.footer = `ʟɪɢʜᴛᴡᴇɪɢʜᴛ ᴡᴀʙᴏᴛ ᴍᴀᴅᴇ ʙʏ ɴᴇᴏxʀ ッ`
-global.status = Object.freeze({
-   invalid: Func.Styles('Invalid url'),
-   wrong: Func.Styles('Wrong format.'),
-   fail: Func.Styles('Can\'t get metadata'),
-   error: Func.Styles('Error occurred'),
-   errorF: Func.Styles('Sorry this feature is in error.'),
-   premium: Func.Styles('This feature only for premium user.'),
-   auth: Func.Styles('You do not have permission to use this feature, ask the owner first.'),
-   owner: Func.Styles('This command only for owner.'),
-   group: Func.Styles('This command will only work in groups.'),
-   botAdmin: Func.Styles('This command will work when I become an admin.'),
-   admin: Func.Styles('This command only for group admin.'),
-   private: Func.Styles('Use this command in private chat.'),
-   gameSystem: Func.Styles('Game features have been disabled.'),
-   gameInGroup: Func.Styles('Game features have not been activated for this group.'),
-   gameLevel: Func.Styles('You cannot play the game because your level has reached the maximum limit.')
-})
\ No newline at end of file
+global.locale = new (require('./locale'))
+global.status = global.locale.status('en')
+global.repo = {
+   users: new (require('./repository'))('users'),
+   groups: new (require('./repository'))('groups'),
+   chats: new (require('./repository'))('chats')
+}
@@ -0,0 +1,111 @@
+module.exports = class Economy {
+   /**
+    * @param {object} [opts] - Economy options.
+    * @param {number} [opts.reward=5] - Limit given by a daily claim.
+    * @param {number} [opts.bonus=2] - Extra limit for every day of streak.
+    * @param {number} [opts.streak=7] - Streak days counted for the bonus, the bonus stops growing after this.
+    * @param {number} [opts.fee=10] - Transfer fee in percent, paid by the sender (minimum 1).
+    * @param {number} [opts.history=50] - Ledger entries kept per user.
+    */
+   constructor(opts = {}) {
+      this.reward = opts.reward || 5
+      this.bonus = opts.bonus || 2
+      this.streak = opts.streak || 7
+      this.fee = opts.fee ?? 10
+      this.history = opts.history || 50
+   }
+
+   /**
+    * Returns the per-command cost overrides set by the owner, stored in db.setting.costs.
+    * @returns {object} - Object keyed by command with the cost.
+    */
+   costs = () => {
+      const setting = global.db.setting
+      if (!setting.costs || typeof setting.costs !== 'object') setting.costs = {}
+      return setting.costs
+   }
+
+   /**
+    * Gets the limit cost of a command, the owner override wins over the plugin `limit` metadata.
+    * @param {string} command - The command used.
+    * @param {object} plugin - The plugin metadata (exports.run).
+    * @returns {number} - The cost, 0 means free.
+    */
+   cost = (command, plugin) => {
+      const costs = this.costs()
+      // hidden names share the override of the main command
+      const names = [command, ...([].concat(plugin.hidden || []).includes(command) ? [].concat(plugin.usage || []) : [])]
+      const name = names.find(v => v && v in costs)
+      if (name) return costs[name]
+      if (!plugin.limit) return 0
+      return plugin.limit.constructor.name == 'Boolean' ? 1 : plugin.limit
+   }
+
+   /**
+    * Adds (or subtracts with a negative amount) limit and writes it into the user's ledger.
+    * @param {object} users - The user record.
+    * @param {number} amount - The amount of limit.
+    * @param {string} reason - Short reason shown in the history.
+    * @returns {number} - The new limit.
+    */
+   change = (users, amount, reason) => {
+      // Number() also repairs limits stored as strings by older versions
+      users.limit = (Number(users.limit) || 0) + amount
+      this.record(users, amount, reason)
+      return users.limit
+   }
+
+   /**
+    * Writes an entry into the user's ledger, for limit that was changed directly.
+    * @param {object} users - The user record.
+    * @param {number} amount - The amount of limit.
+    * @param {string} reason - Short reason shown in the history.
+    */
+   record = (users, amount, reason) => {
+      if (!Array.isArray(users.ledger)) users.ledger = []
+      users.ledger.push({ amount, reason, balance: users.limit, created: Date.now() })
+      if (users.ledger.length > this.history) users.ledger.splice(0, users.ledger.length - this.history)
+   }
+
+   /**
+    * Claims the daily reward, claiming on consecutive days builds up a streak bonus.
+    * @param {object} users - The user record.
+    * @param {number} [now] - Current timestamp.
+    * @returns {object} - { status, reward, streak } or { status: false, wait } when it was already claimed today.
+    */
+   daily = (users, now = Date.now()) => {
+      const day = date => new Date(date).setHours(0, 0, 0, 0)
+      const today = day(now)
+      const last = users.lastDaily ? day(users.lastDaily) : 0
+      if (last === today) return { status: false, wait: today + 86_400_000 - now }
+      const yesterday = new Date(today)
+      yesterday.setDate(yesterday.getDate() - 1)
+      users.streak = last === yesterday.getTime() ? (users.streak || 0) + 1 : 1
+      users.lastDaily = now
+      const reward = this.reward + this.bonus * (Math.min(users.streak, this.streak) - 1)
+      this.change(users, reward, `daily claim (streak ${users.streak})`)
+      return { status: true, reward, streak: users.streak }
+   }
+
+   /**
+    * Calculates the fee of a transfer.
+    * @param {number} amount - The amount sent.
+    * @returns {number}
+    */
+   fees = amount => this.fee > 0 ? Math.max(1, Math.ceil(amount * this.fee / 100)) : 0
+
+   /**
+    * Transfers limit between users, the sender pays the amount plus the fee.
+    * @param {object} from - The sender record.
+    * @param {object} to - The receiver record.
+    * @param {number} amount - The amount received.
+    * @returns {object} - { status, fee } or { status: false, fee, need } when the sender's limit is not enough.
+    */
+   transfer = (from, to, amount) => {
+      const fee = this.fees(amount)
+      if ((from.limit || 0) < amount + fee) return { status: false, fee, need: amount + fee }
+      this.change(from, -(amount + fee), `transfer to @${to.jid.replace(/@.+/, '')} (fee ${fee})`)
+      this.change(to, amount, `transfer from @${from.jid.replace(/@.+/, '')}`)
+      return { status: true, fee }
+   }
+}
@@ -0,0 +1,84 @@
+const crypto = require('crypto')
+
+module.exports = class ErrorTracker {
+   /**
+    * Initializes the ErrorTracker instance.
+    * Errors are stored in global.db.errors so they are persisted with the rest of the database.
+    * @param {number} [max=100] - Maximum number of errors kept, the oldest ones are dropped first.
+    */
+   constructor(max = 100) {
+      this.max = max
+   }
+
+   /**
+    * Returns the error storage, creating it when the database doesn't have one yet.
+    * @returns {object[]}
+    */
+   store = () => {
+      if (!global.db) return []
+      if (!(global.db.errors instanceof Array)) global.db.errors = []
+      return global.db.errors
+   }
+
+   /**
+    * Guesses the plugin name from the error stack when it's not given.
+    * @param {Error} error - The error object.
+    * @returns {string|null} - Plugin file name without extension.
+    */
+   pluginFromStack = error => {
+      const match = String(error && error.stack || '').match(/plugins[\\/](?:.+[\\/])?([^\\/]+)\.js/)
+      return match ? match[1] : null
+   }
+
+   /**
+    * Captures an error with its context and returns a short reference ID.
+    * @param {Error|any} error - The error object (or any thrown value).
+    * @param {object} [context] - Where the error happened.
+    * @param {string} [context.plugin] - The plugin name.
+    * @param {string} [context.command] - The command used.
+    * @param {string} [context.chat] - The chat JID.
+    * @param {string} [context.sender] - The sender JID.
+    * @returns {string} - The error ID.
+    */
+   capture = (error, context = {}) => {
+      const id = crypto.randomBytes(3).toString('hex').toUpperCase()
+      const store = this.store()
+      store.push({
+         id,
+         plugin: context.plugin || this.pluginFromStack(error) || '-',
+         command: context.command || '-',
+         chat: context.chat || '-',
+         sender: context.sender || '-',
+         message: String(error && error.message ? error.message : error).slice(0, 500),
+         stack: String(error && error.stack ? error.stack : error).split('\n').slice(0, 15).join('\n'),
+         created: new Date() * 1
+      })
+      if (store.length > this.max) store.splice(0, store.length - this.max)
+      return id
+   }
+
+   /**
+    * Lists the most recent errors, newest first.
+    * @param {number} [limit=10] - Number of errors to return.
+    * @returns {object[]}
+    */
+   list = (limit = 10) => this.store().slice(-limit).reverse()
+
+   /**
+    * Gets an error by its ID.
+    * @param {string} id - The error ID.
+    * @returns {object|undefined}
+    */
+   get = id => this.store().find(v => v.id === String(id).toUpperCase())
+
+   /**
+    * Removes every stored error.
+    * @returns {number} - Number of errors removed.
+    */
+   clear = () => {
+      const store = this.store()
+      const total = store.length
+      store.splice(0, total)
+      return total
+   }
+}
@@ -0,0 +1,106 @@
+const TIMEOUT = Symbol('timeout')
+
+module.exports = class Executor {
+   /**
+    * Initializes the Executor instance.
+    * @param {object} [opts] - Executor options.
+    * @param {number} [opts.timeout=120000] - Default timeout of a job in milliseconds.
+    * @param {number} [opts.perUser=2] - Maximum number of jobs running at the same time for one user.
+    * @param {number} [opts.max=20] - Maximum number of jobs running at the same time for all users.
+    * @param {number} [opts.grace] - How long a timed out job keeps its slot before it is given up, default is the timeout of the job.
+    */
+   constructor(opts = {}) {
+      this.timeout = opts.timeout || 120000
+      this.perUser = opts.perUser || 2
+      this.max = opts.max || 20
+      this.grace = opts.grace || 0
+      this.jobs = new Map()
+      this.running = 0
+      this.orphaned = 0
+   }
+
+   /**
+    * Counts the running jobs of a user.
+    * @param {string} key - The user's JID.
+    * @returns {number}
+    */
+   count = key => this.jobs.get(key) || 0
+
+   /**
+    * Checks whether a new job can't be started right now.
+    * @param {string} key - The user's JID.
+    * @param {boolean} [bypass=false] - Skip the per-user limit (e.g. for owner).
+    * @returns {string|null} - 'user' or 'global' when busy, otherwise null.
+    */
+   busy = (key, bypass = false) => {
+      if (!bypass && this.count(key) >= this.perUser) return 'user'
+      if (this.running >= this.max) return 'global'
+      return null
+   }
+
+   /**
+    * Frees the slot of a finished job.
+    * @param {string} key - The user's JID.
+    */
+   release = key => {
+      this.running--
+      if (this.count(key) > 1) this.jobs.set(key, this.count(key) - 1)
+      else this.jobs.delete(key)
+   }
+
+   /**
+    * Runs a job and waits for it until it is done or the timeout is reached.
+    * The job receives an AbortSignal that is aborted on timeout, so plugins can stop their work.
+    * A timed out job keeps its slot until it really ends, so a hung job can't be restarted over and over,
+    * but only for the grace period: a job that never settles is then counted in `orphaned` and its slot is freed.
+    * Errors thrown by the job are passed through to the caller.
+    * @param {string} key - The user's JID.
+    * @param {Function} fn - The job, receives an AbortSignal.
+    * @param {object} [opts] - Job options.
+    * @param {number} [opts.timeout] - Timeout in milliseconds, default is the executor timeout.
+    * @param {number} [opts.grace] - Grace period after the timeout in milliseconds, default is the executor grace or the timeout.
+    * @param {boolean} [opts.bypass=false] - Skip the per-user limit.
+    * @returns {Promise<{ status: string, result?: any, scope?: string }>} - Status is 'done', 'busy' or 'timeout'.
+    */
+   run = async (key, fn, opts = {}) => {
+      const busy = this.busy(key, opts.bypass)
+      if (busy) return { status: 'busy', scope: busy }
+      this.jobs.set(key, this.count(key) + 1)
+      this.running++
+      const controller = new AbortController()
+      let released = false, orphan = false, ceiling
+      const free = () => {
+         if (released) return
+         released = true
+         this.release(key)
+      }
+      const job = Promise.resolve().then(() => fn(controller.signal))
+      job.catch(e => {
+         // the caller only gets errors thrown before the timeout
+         if (controller.signal.aborted) console.log(e)
+      }).finally(() => {
+         clearTimeout(ceiling)
+         if (orphan) this.orphaned--
+         free()
+      })
+      let timer
+      try {
+         const result = await Promise.race([
+            job,
+            new Promise(resolve => timer = setTimeout(() => resolve(TIMEOUT), opts.timeout || this.timeout))
+         ])
+         if (result === TIMEOUT) {
+            controller.abort()
+            ceiling = setTimeout(() => {
+               orphan = true
+               this.orphaned++
+               free()
+            }, opts.grace || this.grace || opts.timeout || this.timeout)
+            return { status: 'timeout' }
+         }
+         return { status: 'done', result }
+      } finally {
+         clearTimeout(timer)
+      }
+   }
+}
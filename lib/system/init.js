@@ -10,9 +10,18 @@ module.exports = class Init {
     */
    getModel = (object = {}) => JSON.parse(JSON.stringify(object))
 
+   /**
+    * Clones object and array values, other values are returned as they are.
+    * @param {any} value - The default value.
+    * @returns {any}
+    */
+   clone = value => value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value
+
    /**
     * Function to initialize an object with values from a template and custom properties.
     * Ensures correct types based on the template using isType.
+    * Object and array defaults are cloned, so records never share them with the template or each other
+    * and the template can be passed as it is (no getModel() needed).
     * 
     * @param {Object} prefix - The object to be initialized or updated.
     * @param {Object} template - The template with default values and expected types.
@@ -24,13 +33,13 @@ module.exports = class Init {
 
       Object.keys(validTemplate).forEach(key => {
          if (!(key in prefix)) {
-            prefix[key] = validTemplate[key]
+            prefix[key] = this.clone(validTemplate[key])
          }
       })
 
       Object.keys(validCustom).forEach(key => {
          if (!(key in prefix)) {
-            prefix[key] = validCustom[key]
+            prefix[key] = this.clone(validCustom[key])
          }
       })
    }
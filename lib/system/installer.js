@@ -0,0 +1,155 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const syntax = require('syntax-error')
+
+module.exports = class Installer {
+   /**
+    * Installs third-party plugins sent as a .js file, installed plugins are recorded in db.setting.installed.
+    * @param {object} [opts]
+    * @param {string} [opts.dir='plugins'] - The plugins directory.
+    * @param {string} [opts.folder='installed'] - Sub folder of new plugins, same depth as the category folders so `../../lib` works.
+    * @param {string} [opts.backup='backups/plugins'] - Where overwritten files are kept, outside plugins so they aren't loaded.
+    * @param {number} [opts.max=524288] - Maximum file size in bytes.
+    */
+   constructor(opts = {}) {
+      this.dir = path.resolve(opts.dir || 'plugins')
+      this.folder = path.join(this.dir, opts.folder || 'installed')
+      this.backup = path.resolve(opts.backup || 'backups/plugins')
+      this.max = opts.max || 524_288
+      this.validator = new (require('./validator'))(this.dir)
+      this.reloader = new (require('./reloader'))
+   }
+
+   /**
+    * Returns the records of installed plugins.
+    * @returns {object} - Keyed by plugin name : { file, hash, size, installed, original }
+    */
+   store = () => {
+      const setting = global.db.setting
+      if (!setting.installed || typeof setting.installed !== 'object') setting.installed = {}
+      return setting.installed
+   }
+
+   /**
+    * Calculates the source hash.
+    * @param {Buffer|string} source - The source code.
+    * @returns {string} - SHA-256 hex digest.
+    */
+   hash = source => crypto.createHash('sha256').update(source).digest('hex')
+
+   /**
+    * Resolves the file of a plugin, an existing plugin with the same name (in any category) or a new file in the install folder.
+    * @param {string} name - Plugin name.
+    * @returns {string} - Absolute file path.
+    */
+   target = name => this.validator.files().find(v => path.basename(v, '.js') == name) || path.join(this.folder, name + '.js')
+
+   /**
+    * Checks a plugin source without installing it.
+    * This is not a sandbox : the source is loaded with require() to read its metadata, so its top-level code
+    * runs before the validation, even when the plugin is refused. Only check files from a trusted source.
+    * @param {string} name - Plugin name.
+    * @param {Buffer} source - The source code.
+    * @param {object} plugins - Loaded plugins keyed by name, used to find duplicate commands.
+    * @returns {object} - { status, errors, warnings, file }
+    */
+   check = (name, source, plugins = {}) => {
+      if (!/^[a-z0-9_-]+$/i.test(name)) return { status: false, errors: ['name can only contain letters, numbers, _ and -'], warnings: [] }
+      if (source.length > this.max) return { status: false, errors: [`file is larger than ${Math.round(this.max / 1024)} KB`], warnings: [] }
+      const file = this.target(name)
+      const error = syntax(source.toString('utf-8'), name + '.js')
+      if (error) return { status: false, errors: [String(error).trim()], warnings: [], file }
+      // the staged file sits next to the final one so relative requires resolve the same way
+      const staged = file + '.staged'
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(staged, source)
+      let mod
+      try {
+         mod = require(staged)
+      } catch (e) {
+         return { status: false, errors: [`failed to load : ${e.message}`], warnings: [], file }
+      } finally {
+         delete require.cache[staged]
+         fs.unlinkSync(staged)
+      }
+      const issues = this.validator.validate(name, mod)
+      const errors = issues.filter(v => v.level === 'error').map(v => v.message)
+      const warnings = issues.filter(v => v.level === 'warning').map(v => v.message)
+      const others = Object.fromEntries(Object.entries(plugins).filter(([key]) => key !== name))
+      for (const v of this.validator.duplicates({ ...others, [name]: mod }).filter(v => v.plugins.includes(name))) {
+         errors.push(`command "${v.command}" is already used by ${v.plugins.filter(p => p !== name).join(', ')}`)
+      }
+      return { status: errors.length < 1, errors, warnings, file }
+   }
+
+   /**
+    * Installs a plugin, an existing file with the same name is backed up then replaced.
+    * A file that wasn't installed with install() (e.g. a core plugin) is only replaced with `replace`, checked before the source is loaded.
+    * @param {string} name - Plugin name.
+    * @param {Buffer} source - The source code.
+    * @param {object} plugins - The loaded plugins (ctx.plugins), updated in place.
+    * @param {object} [opts]
+    * @param {boolean} [opts.replace=false] - Confirms overwriting a plugin that wasn't installed with install().
+    * @returns {object} - Result of check() plus { hash, backup, files } when installed, { status: false, exists } when confirmation is needed.
+    */
+   install = (name, source, plugins = {}, { replace = false } = {}) => {
+      const exists = this.target(name)
+      if (!replace && !this.store()[name] && fs.existsSync(exists)) return { status: false, exists: path.relative(process.cwd(), exists), errors: [`${path.relative(process.cwd(), exists)} already exists and was not installed with install()`], warnings: [], file: exists }
+      const result = this.check(name, source, plugins)
+      if (!result.status) return result
+      const records = this.store()
+      let backup = null
+      if (fs.existsSync(result.file)) {
+         fs.mkdirSync(this.backup, { recursive: true })
+         backup = path.relative(process.cwd(), path.join(this.backup, `${name}-${Date.now()}.js.bak`))
+         fs.copyFileSync(result.file, backup)
+      }
+      // a file that wasn't installed with install() is the original one, it is put back on uninstall
+      const original = records[name] ? records[name].original : backup
+      fs.writeFileSync(result.file, source)
+      const loaded = this.reloader.reload(result.file)
+      plugins[name] = loaded.module
+      const hash = this.hash(source)
+      records[name] = {
+         file: path.relative(process.cwd(), result.file),
+         hash,
+         size: source.length,
+         installed: Date.now(),
+         original
+      }
+      return { ...result, hash, backup, files: loaded.files }
+   }
+
+   /**
+    * Uninstalls a plugin installed with install(), a replaced original file is put back.
+    * @param {string} name - Plugin name.
+    * @param {object} plugins - The loaded plugins (ctx.plugins), updated in place.
+    * @returns {object} - { status, restored }
+    */
+   uninstall = (name, plugins = {}) => {
+      const records = this.store()
+      const record = records[name]
+      if (!record) return { status: false }
+      const file = path.resolve(record.file)
+      delete require.cache[file]
+      delete plugins[name]
+      let restored = false
+      if (record.original && fs.existsSync(record.original)) {
+         fs.copyFileSync(record.original, file)
+         plugins[name] = this.reloader.reload(file).module
+         restored = true
+      } else if (fs.existsSync(file)) fs.unlinkSync(file)
+      delete records[name]
+      return { status: true, restored }
+   }
+
+   /**
+    * Lists the installed plugins with the hash of the file on disk.
+    * @returns {object[]} - [{ name, file, hash, installed, state }] state is ok, modified or missing.
+    */
+   list = () => Object.entries(this.store()).map(([name, record]) => {
+      const current = fs.existsSync(record.file) ? this.hash(fs.readFileSync(record.file)) : null
+      return { name, ...record, state: !current ? 'missing' : current !== record.hash ? 'modified' : 'ok' }
+   })
+}
\ No newline at end of file
@@ -1,14 +1,24 @@
 const fs = require('fs').promises
+const path = require('path')
+const crypto = require('crypto')
 
 module.exports = class LocalDB {
    /**
     * Initializes the LocalDB instance with the provided file path.
     * @param {string} [filePath] - The path to the JSON file where the database will be stored. Defaults to 'database.json'.
+    * @param {object} [opts] - Snapshot options.
+    * @param {number} [opts.snapshots=5] - Number of previous snapshots to keep.
+    * @param {number} [opts.interval=3600000] - Minimum time (ms) between two snapshots.
     */
-   constructor(filePath) {
+   constructor(filePath, opts = {}) {
       this.filePath = filePath ? filePath + '.json' : 'database'
-      this.queue = []
-      this.initDB()
+      this.snapshotDir = this.filePath + '.snapshots'
+      this.snapshots = opts.snapshots || 5
+      this.interval = opts.interval || 3_600_000
+      this.lastSnapshot = 0
+      this.writing = Promise.resolve()
+      this.recovered = null
+      this.ready = this.initDB()
    }
 
    /**
@@ -17,10 +27,14 @@ module.exports = class LocalDB {
     * @returns {Promise<void>}
     */
    initDB = async () => {
+      await fs.mkdir(this.snapshotDir, { recursive: true })
+      const snapshots = await this.listSnapshots()
+      if (snapshots.length > 0) this.lastSnapshot = snapshots[0].time
       try {
          await fs.access(this.filePath)
       } catch (err) {
-         await this.save({})
+         // an unreadable or missing file is handled by fetch(), only create it when there is nothing to recover
+         if (snapshots.length < 1) await this.write({})
       }
    }
 
@@ -39,46 +53,127 @@ module.exports = class LocalDB {
    }
 
    /**
-    * Adds data to the internal queue to be saved later.
-    * @param {object} data - The data to be added to the queue.
+    * Calculates the checksum of serialized data.
+    * @param {string} json - The serialized data.
+    * @returns {string} - SHA-256 hex digest.
     */
-   enqueue = data => this.queue.push(data)
+   checksum = json => crypto.createHash('sha256').update(json).digest('hex')
 
    /**
-    * Saves the valid data from the queue to the file.
-    * If the data is valid JSON, it will be written to the file.
-    * @param {object} data - The data to be saved to the file.
+    * Parses a database file and verifies its checksum.
+    * Files written before checksums were added (plain JSON object) are accepted as they are.
+    * @param {string} content - The file content.
+    * @returns {object|null} - The data, or null if the file is corrupted.
+    */
+   parse = content => {
+      try {
+         const parsed = JSON.parse(content)
+         if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null
+         if (!('checksum' in parsed && 'data' in parsed)) return parsed
+         const json = JSON.stringify(parsed.data)
+         return this.checksum(json) === parsed.checksum ? parsed.data : null
+      } catch {
+         return null
+      }
+   }
+
+   /**
+    * Writes a file atomically, the content goes to a temporary file which is flushed then renamed over the target.
+    * @param {string} target - The target path.
+    * @param {string} content - The content.
     * @returns {Promise<void>}
     */
-   save = async data => {
-      this.enqueue(data)
+   atomicWrite = async (target, content) => {
+      const temp = `${target}.${process.pid}.tmp`
+      const handle = await fs.open(temp, 'w')
+      try {
+         await handle.writeFile(content, 'utf8')
+         await handle.sync()
+      } finally {
+         await handle.close()
+      }
+      await fs.rename(temp, target)
+   }
 
-      // Filter out invalid data and keep only valid JSON data
-      const validData = this.queue.filter(this.validateJSON)
-      this.queue = []
+   /**
+    * Serializes data with its checksum and writes it, then takes a snapshot when the interval has passed.
+    * An empty database (the file created on the first start) is never snapshotted, it would be restored over real data.
+    * @param {object} data - The data to be written.
+    * @returns {Promise<void>}
+    */
+   write = async data => {
+      const json = JSON.stringify(data)
+      const content = `{"checksum":"${this.checksum(json)}","updated":${Date.now()},"data":${json}}`
+      await this.atomicWrite(this.filePath, content)
+      if (Object.keys(data).length > 0 && Date.now() - this.lastSnapshot >= this.interval) await this.snapshot(content)
+   }
 
-      if (validData.length > 0) {
-         try {
-            await fs.writeFile(this.filePath, JSON.stringify(validData[0], null), 'utf8')
-         } catch (err) {
-            console.log(`Failed to save data: ${err.message}`)
-         }
-      } else {
-         console.log('No valid data to save')
+   /**
+    * Stores a snapshot and removes the oldest ones beyond the limit.
+    * @param {string} content - The file content to store.
+    * @returns {Promise<void>}
+    */
+   snapshot = async content => {
+      this.lastSnapshot = Date.now()
+      await this.atomicWrite(path.join(this.snapshotDir, `${this.lastSnapshot}.json`), content)
+      const snapshots = await this.listSnapshots()
+      for (const old of snapshots.slice(this.snapshots)) await fs.unlink(old.file).catch(() => {})
+   }
+
+   /**
+    * Lists the snapshots, newest first.
+    * @returns {Promise<Array<{file: string, time: number}>>}
+    */
+   listSnapshots = async () => {
+      try {
+         const files = await fs.readdir(this.snapshotDir)
+         return files.filter(v => /^\d+\.json$/.test(v)).map(v => ({ file: path.join(this.snapshotDir, v), time: Number(v.split('.')[0]) })).sort((a, b) => b.time - a.time)
+      } catch {
+         return []
       }
    }
 
+   /**
+    * Saves the data to the file, writes are serialized so two saves never touch the file at the same time.
+    * @param {object} data - The data to be saved to the file.
+    * @returns {Promise<void>}
+    */
+   save = async data => {
+      if (!this.validateJSON(data)) return console.log('No valid data to save')
+      this.writing = this.writing.then(async () => {
+         await this.ready
+         await this.write(data)
+      }).catch(err => console.log(`Failed to save data: ${err.message}`))
+      return this.writing
+   }
+
    /**
     * Fetches the data from the JSON file and returns it.
-    * @returns {Promise<object|null>} - The parsed data from the file, or null if an error occurred.
+    * When the file is missing or corrupted the newest valid snapshot is restored, details are kept in `recovered`.
+    * @returns {Promise<object|null>} - The parsed data from the file, or null if nothing valid was found.
     */
    fetch = async () => {
+      await this.ready
+      let reason
       try {
-         const data = await fs.readFile(this.filePath, 'utf8')
-         return JSON.parse(data)
+         const data = this.parse(await fs.readFile(this.filePath, 'utf8'))
+         if (data) return data
+         reason = 'checksum mismatch or invalid JSON'
       } catch (err) {
-         console.log(`Failed to fetch data: ${err.message}`)
-         return null
+         reason = err.message
+      }
+      for (const snapshot of await this.listSnapshots()) {
+         try {
+            const data = this.parse(await fs.readFile(snapshot.file, 'utf8'))
+            // empty snapshots were taken of the placeholder file by older versions
+            if (!data || Object.keys(data).length < 1) continue
+            await this.atomicWrite(this.filePath, await fs.readFile(snapshot.file, 'utf8'))
+            this.recovered = { reason, snapshot: path.basename(snapshot.file), time: snapshot.time }
+            console.log(`Database recovered from snapshot ${snapshot.file} (${reason})`)
+            return data
+         } catch { }
       }
+      console.log(`Failed to fetch data: ${reason}`)
+      return null
    }
 }
\ No newline at end of file
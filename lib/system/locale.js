@@ -0,0 +1,87 @@
+const { Component } = require('@neoxr/wb')
+const { Function: Func } = new Component
+const fs = require('fs')
+const path = require('path')
+
+module.exports = class Locale {
+   /**
+    * @param {string} [dir] - Directory containing the language packs.
+    * @param {string} [fallback] - Language used when a key or pack is missing.
+    */
+   constructor(dir = path.join(__dirname, '../lang'), fallback = 'en') {
+      this.fallback = fallback
+      this.packs = Object.fromEntries(fs.readdirSync(dir).filter(v => v.endsWith('.js')).map(v => [path.basename(v, '.js'), require(path.join(dir, v))]))
+      this.cache = {}
+   }
+
+   /**
+    * Lists the available language codes.
+    * @returns {string[]} - Language codes, e.g. ['en', 'id'].
+    */
+   languages = () => Object.keys(this.packs)
+
+   /**
+    * Checks whether a language pack exists.
+    * @param {string} lang - The language code.
+    * @returns {boolean}
+    */
+   has = lang => Boolean(lang && this.packs[String(lang).toLowerCase()])
+
+   /**
+    * Resolves the language of a message, user preference first, then the group and the global setting.
+    * @param {object} [users] - The user record.
+    * @param {object} [groupSet] - The group record.
+    * @param {object} [setting] - The global setting.
+    * @returns {string} - The language code.
+    */
+   resolve = (users, groupSet, setting) => {
+      const lang = [users?.lang, groupSet?.lang, setting?.lang].find(v => this.has(v))
+      return lang ? lang.toLowerCase() : this.fallback
+   }
+
+   /**
+    * Resolves the language straight from a message object by looking up the database records.
+    * @param {object} m - The message object.
+    * @returns {string} - The language code.
+    */
+   from = m => {
+      if (!global.db || !m) return this.fallback
+      return this.resolve(
+         global.repo.users.get(m.sender),
+         m.isGroup ? global.repo.groups.get(m.chat) : null,
+         global.db.setting
+      )
+   }
+
+   /**
+    * Gets a raw message by dotted key, falling back to the default language.
+    * @param {string} lang - The language code.
+    * @param {string} key - Message key, e.g. "system.disabled".
+    * @returns {string} - The message, or the key itself if it doesn't exist in any pack.
+    */
+   get = (lang, key) => {
+      const lookup = pack => key.split('.').reduce((value, k) => value && typeof value === 'object' ? value[k] : undefined, pack)
+      const value = lookup(this.packs[lang]) ?? lookup(this.packs[this.fallback])
+      return typeof value === 'string' ? value : key
+   }
+
+   /**
+    * Translates a message and fills the {placeholder} variables.
+    * @param {string} lang - The language code.
+    * @param {string} key - Message key.
+    * @param {object} [vars] - Values for the placeholders.
+    * @returns {string} - The translated message.
+    */
+   t = (lang, key, vars = {}) => this.get(lang, key).replace(/\{(\w+)\}/g, (match, name) => name in vars ? String(vars[name]) : match)
+
+   /**
+    * Builds the styled status messages of a language, the same shape as global.status.
+    * @param {string} lang - The language code.
+    * @returns {object} - Frozen object of status messages.
+    */
+   status = lang => {
+      const code = this.has(lang) ? lang.toLowerCase() : this.fallback
+      if (!this.cache[code]) this.cache[code] = Object.freeze(Object.fromEntries(Object.keys(this.packs[this.fallback].status).map(k => [k, Func.Styles(this.get(code, 'status.' + k))])))
+      return this.cache[code]
+   }
+}
@@ -0,0 +1,223 @@
+const { Component } = require('@neoxr/wb')
+const { Function: Func } = new Component
+const Pipeline = require('./pipeline')
+const ratelimit = new (require('./ratelimit'))
+const roles = new (require('./roles'))
+const argument = new (require('./arguments'))
+const economy = new (require('./economy'))
+
+const pipeline = new Pipeline
+const { SKIP, HALT } = Pipeline
+
+/* message origin, ignore bot messages, broadcast and edited messages */
+pipeline.use('origin', ({ type, m }) => {
+   if (type === 'command' && (m.isBot || m.chat.endsWith('broadcast') || /edit/.test(m.mtype))) return SKIP
+   if (type === 'event' && ((m.fromMe && m.isBot) || m.chat.endsWith('broadcast') || /pollUpdate/.test(m.mtype))) return SKIP
+})
+
+/* blocked country codes */
+pipeline.use('blocks', ({ client, m, env }) => {
+   if (!m.isGroup && env.blocks.some(no => m.sender.startsWith(no))) {
+      client.updateBlockStatus(m.sender, 'block')
+      return HALT
+   }
+}, { on: ['event'] })
+
+/* self mode */
+pipeline.use('self', ({ type, plugin, m, setting, isOwner }) => {
+   if (type === 'event' && plugin.bypassSelf) return
+   if (setting.self && !isOwner && !m.fromMe) return SKIP
+})
+
+/* banned or temporary banned user, unless the plugin declares bypassBan */
+pipeline.use('banned', ({ plugin, users, env }) => {
+   if (!plugin.bypassBan && users && (users.banned || new Date - users.ban_temporary < env.timeout)) return SKIP
+})
+
+/* muted group, unless the plugin declares bypassMute */
+pipeline.use('mute', ({ type, plugin, m, groupSet }) => {
+   if ((type === 'event' || m.isGroup) && !plugin.bypassMute && groupSet && groupSet.mute) return SKIP
+})
+
+/* private chat delay for free users */
+pipeline.use('lastchat', ({ type, name, m, users, chats, isPrem, env }) => {
+   const exception = type === 'command' ? ['owner'] : ['menfess_ev', 'chatbot', 'auto_download']
+   if (!m.isGroup && !exception.includes(name) && chats && !isPrem && !users.banned && new Date() * 1 - chats.lastchat < env.timeout) return SKIP
+})
+
+/* private chat only for premium users when groupmode is active */
+pipeline.use('groupmode', async ({ type, name, client, m, users, chats, setting, prefixes, isPrem, lang }) => {
+   if (type === 'command' && !m.isGroup && !['owner', 'menfess', 'scan', 'verify', 'payment', 'premium'].includes(name) && chats && !isPrem && !users.banned && setting.groupmode) {
+      client.sendMessageModify(m.chat, `⚠️ ${global.locale.t(lang, 'system.groupmode', { command: prefixes[0] + 'premium' })}`, m, {
+         largeThumb: true,
+         thumbnail: 'https://telegra.ph/file/0b32e0a0bb3b81fef9838.jpg',
+         url: setting.link
+      }).then(() => chats.lastchat = new Date() * 1)
+      return SKIP
+   }
+   if (type === 'event' && !m.isGroup && setting.groupmode && !['system_ev', 'menfess_ev', 'chatbot', 'auto_download'].includes(name) && !isPrem) {
+      client.sendMessageModify(m.chat, `⚠️ ${global.locale.t(lang, 'system.groupmode', { command: prefixes[0] + 'premium' })}`, m, {
+         largeThumb: true,
+         thumbnail: await Func.fetchBuffer('https://telegra.ph/file/0b32e0a0bb3b81fef9838.jpg'),
+         url: setting.link
+      }).then(() => chats.lastchat = new Date() * 1)
+      return HALT
+   }
+})
+
+/* plugin marked as error */
+pipeline.use('error', ({ plugin }) => {
+   if (plugin.error) return SKIP
+}, { on: ['event'] })
+
+/* owner only */
+pipeline.use('owner', ({ type, plugin, client, m, isOwner, lang }) => {
+   if (plugin.owner && !isOwner) {
+      if (type === 'command') client.reply(m.chat, global.locale.status(lang).owner, m)
+      return SKIP
+   }
+})
+
+/* custom roles */
+pipeline.use('roles', state => {
+   const { plugin, client, m, groupSet, isOwner, isAdmin, lang } = state
+   state.isRole = plugin.roles ? roles.check(plugin.roles, m.sender, m.isGroup ? groupSet : null) : false
+   if (plugin.roles && !plugin.admin && !isOwner && !isAdmin && !state.isRole) {
+      client.reply(m.chat, global.locale.status(lang).role, m)
+      return SKIP
+   }
+}, { on: ['command'] })
+
+/* restricted keywords */
+pipeline.use('restrict', ({ plugin, client, m, text, users, setting, isPrem, isOwner, lang }) => {
+   if (plugin.restrict && !isPrem && !isOwner && text && new RegExp('\\b' + setting.toxic.join('\\b|\\b') + '\\b').test(text.toLowerCase())) {
+      client.reply(m.chat, `⚠️ ${global.locale.t(lang, 'system.restrict')}`, m).then(() => {
+         users.banned = true
+         client.updateBlockStatus(m.sender, 'block')
+      })
+      return SKIP
+   }
+}, { on: ['command'] })
+
+/* premium only */
+pipeline.use('premium', ({ plugin, client, m, isPrem, lang }) => {
+   if (plugin.premium && !isPrem) {
+      client.reply(m.chat, global.locale.status(lang).premium, m)
+      return SKIP
+   }
+}, { on: ['command'] })
+
+/* running jobs of the user and the bot */
+pipeline.use('busy', ({ client, m, executor, isOwner, lang }) => {
+   const busy = executor && executor.busy(m.sender, isOwner)
+   if (busy) {
+      client.reply(m.chat, Func.texted('bold', `🚩 ${global.locale.t(lang, busy === 'user' ? 'system.busy_user' : 'system.busy_global')}`), m)
+      return SKIP
+   }
+}, { on: ['command'] })
+
+/* declarative arguments, checked before anything is charged (cooldown, limit) */
+pipeline.use('params', state => {
+   const { plugin, client, m, text, prefix, command, lang } = state
+   const parsed = plugin.params ? argument.parse(plugin, m, text) : { status: true, params: {} }
+   if (!parsed.status) {
+      client.reply(m.chat, `🚩 ${global.locale.t(lang, 'system.invalid_argument', { error: parsed.error })}\n\n• ${global.locale.t(lang, 'system.usage', { usage: (prefix ? prefix : '') + command + ' ' + argument.usage(plugin.params) })}${plugin.example ? `\n• ${global.locale.t(lang, 'system.example', { example: (prefix ? prefix : '') + command + ' ' + plugin.example })}` : ''}`, m)
+      return SKIP
+   }
+   state.params = parsed.params
+}, { on: ['command'] })
+
+/* per-command cooldown, the token is only taken by state.consume() once the plugin is about to run */
+pipeline.use('cooldown', state => {
+   const { name, plugin, client, m, prefix, command, isOwner, lang } = state
+   if (plugin.cooldown && !isOwner) {
+      const notify = bucket => client.reply(m.chat, Func.texted('bold', `🚩 ${global.locale.t(lang, 'system.cooldown', { command: (prefix ? prefix : '') + command, wait: Math.ceil(bucket.wait / 1000) })}`), m)
+      const bucket = ratelimit.check(name, m, plugin)
+      if (!bucket.allowed) {
+         notify(bucket)
+         return SKIP
+      }
+      state.consume = () => {
+         const bucket = ratelimit.consume(name, m, plugin)
+         if (!bucket.allowed) notify(bucket)
+         return bucket.allowed
+      }
+   }
+}, { on: ['command'] })
+
+/* command limit, the cost can be overridden by the owner with .cost, it is only charged by state.charge() once the plugin is about to run */
+pipeline.use('limit', state => {
+   const { plugin, client, m, users, command, lang } = state
+   const cost = economy.cost(command, plugin)
+   if (cost > 0 && users.limit < 1) {
+      client.reply(m.chat, `⚠️ ${global.locale.t(lang, 'system.limit_reached')}`, m).then(() => users.premium = false)
+      return SKIP
+   }
+   if (cost > 0) {
+      const notify = () => client.reply(m.chat, Func.texted('bold', `⚠️ ${global.locale.t(lang, 'system.limit_not_enough')}`), m)
+      if (users.limit < cost) {
+         notify()
+         return SKIP
+      }
+      state.charge = () => {
+         // another command may have spent the limit meanwhile
+         if (users.limit < cost) {
+            notify()
+            return false
+         }
+         economy.change(users, -cost, `command ${command}`)
+         return true
+      }
+      state.refund = () => economy.change(users, cost, `refund ${command} (busy)`)
+   }
+}, { on: ['command'] })
+
+/* group only */
+pipeline.use('group', ({ type, plugin, client, m, lang }) => {
+   if (plugin.group && !m.isGroup) {
+      if (type === 'command') client.reply(m.chat, global.locale.status(lang).group, m)
+      return SKIP
+   }
+})
+
+/* event limit, only when the message contains a supported social media link */
+pipeline.use('limit', ({ plugin, client, m, body, users, lang }) => {
+   if (plugin.limit && !plugin.game && users.limit < 1 && body && Func.generateLink(body) && Func.generateLink(body).some(v => Func.socmed(v))) {
+      client.reply(m.chat, `⚠️ ${global.locale.t(lang, 'system.limit_reached')}`, m).then(() => {
+         users.premium = false
+         users.expired = 0
+      })
+      return HALT
+   }
+}, { on: ['event'] })
+
+/* bot must be admin */
+pipeline.use('botAdmin', ({ type, plugin, client, m, isBotAdmin, lang }) => {
+   if (plugin.botAdmin && !isBotAdmin) {
+      if (type === 'command') client.reply(m.chat, global.locale.status(lang).botAdmin, m)
+      return SKIP
+   }
+})
+
+/* group admin only, role holders are allowed for commands declaring roles */
+pipeline.use('admin', ({ type, plugin, client, m, isAdmin, isRole, lang }) => {
+   if (plugin.admin && !isAdmin && !isRole) {
+      if (type === 'command') client.reply(m.chat, global.locale.status(lang).admin, m)
+      return SKIP
+   }
+})
+
+/* private chat only */
+pipeline.use('private', ({ type, plugin, client, m, lang }) => {
+   if (plugin.private && m.isGroup) {
+      if (type === 'command') client.reply(m.chat, global.locale.status(lang).private, m)
+      return SKIP
+   }
+})
+
+/* auto downloader is turned off */
+pipeline.use('download', ({ plugin, body, setting }) => {
+   if (plugin.download && body && Func.socmed(body) && !setting.autodownload && Func.generateLink(body) && Func.generateLink(body).some(v => Func.socmed(v))) return SKIP
+}, { on: ['event'] })
+
+module.exports = pipeline
@@ -0,0 +1,82 @@
+const fs = require('fs')
+const path = require('path')
+
+module.exports = class Migrator {
+   /**
+    * Runs the versioned migrations of lib/migrations against the database.
+    * Migration files are named `<version>-<name>.js` and export { description, up(db, log) }, `up` must be idempotent.
+    * The applied version is stored in db.schema so every migration only runs once.
+    * @param {string} [dir] - The migrations directory.
+    */
+   constructor(dir = path.join(__dirname, '../migrations')) {
+      this.dir = dir
+   }
+
+   /**
+    * Loads every migration ordered by version.
+    * @returns {object[]} - [{ version, name, description, up }]
+    */
+   load = () => {
+      if (!fs.existsSync(this.dir)) return []
+      return fs.readdirSync(this.dir).filter(v => /^\d+-.+\.js$/.test(v)).map(file => {
+         const migration = require(path.join(this.dir, file))
+         if (typeof migration.up !== 'function') throw new Error(`Migration ${file} doesn't export an up function`)
+         return {
+            version: parseInt(file),
+            name: file.replace(/\.js$/, ''),
+            description: migration.description || '',
+            up: migration.up
+         }
+      }).sort((a, b) => a.version - b.version)
+   }
+
+   /**
+    * Gets the schema version of a database.
+    * @param {object} db - The database.
+    * @returns {number}
+    */
+   version = db => db.schema && db.schema.version || 0
+
+   /**
+    * Gets the migrations that haven't been applied to a database.
+    * @param {object} db - The database.
+    * @returns {object[]}
+    */
+   pending = db => this.load().filter(v => v.version > this.version(db))
+
+   /**
+    * Runs the pending migrations, each one works on a copy which replaces the database only when it succeeds,
+    * so a failing migration leaves the database at the last good version.
+    * @param {object} db - The database (global.db).
+    * @param {object} [opts]
+    * @param {boolean} [opts.dryRun=false] - Only log what would change, the database is left untouched.
+    * @param {Function} [opts.logger=console.log] - Receives every log line.
+    * @returns {object[]} - [{ version, name, changes }]
+    */
+   run = (db, { dryRun = false, logger = console.log } = {}) => {
+      const report = []
+      let current = db
+      for (const migration of this.pending(db)) {
+         const target = JSON.parse(JSON.stringify(current))
+         const changes = []
+         try {
+            migration.up(target, message => changes.push(message))
+         } catch (e) {
+            logger(`Migration ${migration.name} failed : ${e.message}`)
+            throw e
+         }
+         target.schema = {
+            version: migration.version,
+            applied: [...((current.schema && current.schema.applied) || []), { version: migration.version, name: migration.name, at: Date.now() }]
+         }
+         logger(`${dryRun ? '[dry-run] ' : ''}Migration ${migration.name}${migration.description ? ' (' + migration.description + ')' : ''} : ${changes.length ? '\n  - ' + changes.join('\n  - ') : 'no changes'}`)
+         report.push({ version: migration.version, name: migration.name, changes })
+         current = target
+         if (!dryRun) {
+            for (const key of Object.keys(db)) delete db[key]
+            Object.assign(db, target)
+         }
+      }
+      return report
+   }
+}
\ No newline at end of file
@@ -11,6 +11,11 @@ const models = {
       lastseen: 0,
       hit: 0,
       warning: 0,
+      lang: '',
+      reminders: [],
+      ledger: [],
+      streak: 0,
+      lastDaily: 0,
       example: []
    },
    groups: {
@@ -30,7 +35,14 @@ const models = {
       text_welcome: '',
       welcome: true,
       expired: 0,
-      stay: false
+      stay: false,
+      roles: {},
+      commandDisable: [],
+      pluginDisable: [],
+      prefix: '',
+      noprefix: false,
+      lang: '',
+      schedules: []
    },
    chats: {
       chat: 0,
@@ -44,6 +56,7 @@ const models = {
       debug: false,
       error: [],
       hidden: [],
+      aliases: {},
       pluginDisable: [],
       receiver: [],
       groupmode: false,
@@ -57,6 +70,10 @@ const models = {
       online: true,
       onlyprefix: '+',
       owners: ['994408364923'],
+      roles: {},
+      costs: {},
+      installed: {},
+      lang: 'en',
       lastReset: new Date * 1,
       msg: 'Hi +tag 🪸\nI am an automated system (WhatsApp Bot) that can help to do something, search and get data / information only through WhatsApp.\n\n◦ *Module* : +module\n◦ *Database* : +db\n◦ *Library* : Baileys v+version\n◦ *Rest API* : https://api.neoxr.my.id\n◦ *Source* : https://github.com/neoxr/neoxr-bot\n\nIf you find an error or want to upgrade premium plan contact the owner.',
       style: 4,
@@ -0,0 +1,98 @@
+module.exports = class Pipeline {
+   /**
+    * Returned by a stage to stop processing the message entirely (no other plugin will run).
+    */
+   static HALT = 'halt'
+
+   /**
+    * Returned by a stage to skip the current plugin and move on to the next one.
+    */
+   static SKIP = false
+
+   /**
+    * Returned by an event plugin once it has handled the message, event plugins with a lower priority won't run.
+    */
+   static CONSUMED = 'consumed'
+
+   /**
+    * Initializes an empty pipeline.
+    */
+   constructor() {
+      this.stages = []
+   }
+
+   /**
+    * Registers a named stage, stages run in the order they are registered.
+    * A stage receives the state object and returns Pipeline.SKIP, Pipeline.HALT or nothing to continue.
+    * @param {string} name - The stage name, used for debugging and to replace a stage.
+    * @param {Function} fn - The stage function, can be async.
+    * @param {object} [opts] - Stage options.
+    * @param {string[]} [opts.on=['command', 'event']] - Plugin types the stage applies to.
+    * @returns {Pipeline}
+    */
+   use = (name, fn, opts = {}) => {
+      this.stages.push({
+         name,
+         fn,
+         on: opts.on || ['command', 'event']
+      })
+      return this
+   }
+
+   /**
+    * Collects hook plugins, a hook plugin declares `before` and / or `after` functions in exports.run.
+    * @param {object} plugins - All active plugins.
+    * @returns {object[]} - List of plugin metadata (exports.run) having hooks.
+    */
+   hooks = plugins => Object.values(plugins || {}).map(v => v.run).filter(v => v && (typeof v.before === 'function' || typeof v.after === 'function'))
+
+   /**
+    * Runs every stage then the `before` hooks of plugins for the current state.
+    * @param {object} state - The state shared between stages (message, user data, plugin metadata, etc).
+    * @param {object} plugins - All active plugins, used to collect hooks.
+    * @returns {Promise<boolean|string>} - True to run the plugin, Pipeline.SKIP or Pipeline.HALT otherwise.
+    */
+   run = async (state, plugins) => {
+      for (const stage of this.stages) {
+         if (!stage.on.includes(state.type)) continue
+         const result = await stage.fn(state)
+         if (result === Pipeline.HALT) return Pipeline.HALT
+         if (result === Pipeline.SKIP) {
+            state.stage = stage.name
+            return Pipeline.SKIP
+         }
+      }
+      for (const hook of this.hooks(plugins)) {
+         if (typeof hook.before !== 'function') continue
+         try {
+            const result = await hook.before(state.m, state)
+            if (result === Pipeline.HALT) return Pipeline.HALT
+            if (result === Pipeline.SKIP) {
+               state.stage = 'before'
+               return Pipeline.SKIP
+            }
+         } catch (e) {
+            console.log(e)
+         }
+      }
+      return true
+   }
+
+   /**
+    * Runs the `after` hooks of plugins once the plugin has been executed.
+    * @param {object} state - The state used to run the plugin.
+    * @param {object} plugins - All active plugins, used to collect hooks.
+    * @param {any} result - The value returned by the plugin.
+    * @returns {Promise<void>}
+    */
+   after = async (state, plugins, result) => {
+      for (const hook of this.hooks(plugins)) {
+         if (typeof hook.after !== 'function') continue
+         try {
+            await hook.after(state.m, state, result)
+         } catch (e) {
+            console.log(e)
+         }
+      }
+   }
+}
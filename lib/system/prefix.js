@@ -0,0 +1,19 @@
+/**
+ * Parses a message body using a group's own prefix instead of the global prefix setting.
+ * When the body doesn't start with the group prefix, the first word is returned as command without prefix
+ * so the handler can still decide about noprefix mode and the "Incorrect prefix" notice.
+ * @param {string} body - The message text.
+ * @param {string} groupPrefix - The prefix configured for the group.
+ * @returns {{ prefix: string, command: string, args: string[], text: string }}
+ */
+module.exports = (body, groupPrefix) => {
+   const content = String(body || '').trim()
+   const prefix = groupPrefix && content.startsWith(groupPrefix) ? groupPrefix : ''
+   const [command = '', ...args] = content.slice(prefix.length).trim().split(/\s+/)
+   return {
+      prefix,
+      command: command.toLowerCase(),
+      args,
+      text: content.slice(prefix.length).trim().slice(command.length).trim()
+   }
+}
@@ -0,0 +1,113 @@
+module.exports = class RateLimit {
+   /**
+    * Initializes the RateLimit instance.
+    * Every command gets its own set of token buckets, each bucket is identified by the command name and the scope key.
+    * @param {number} [maxSize=5000] - Maximum number of buckets kept in memory before full buckets are pruned.
+    */
+   constructor(maxSize = 5000) {
+      this.buckets = new Map()
+      this.maxSize = maxSize
+   }
+
+   /**
+    * Resolves the bucket key for the given scope.
+    * @param {object} m - The message object.
+    * @param {string} [scope='user'] - Scope of the bucket, options: 'user' | 'chat' | 'global'.
+    * @returns {string} - The key used to group requests in the same bucket.
+    */
+   scopeKey = (m, scope = 'user') => {
+      switch (scope) {
+         case 'global':
+            return 'global'
+         case 'chat':
+            return m.chat
+         default:
+            return m.sender
+      }
+   }
+
+   /**
+    * Removes buckets that have been fully refilled, they behave the same as a new bucket.
+    * @param {number} now - Current timestamp in milliseconds.
+    */
+   prune = now => {
+      for (const [key, bucket] of this.buckets) {
+         if (now - bucket.updated >= bucket.interval * bucket.capacity) this.buckets.delete(key)
+      }
+   }
+
+   /**
+    * Gets the bucket of a command with the tokens regained since its last update.
+    * @param {string} command - The command (or plugin) name that owns the bucket.
+    * @param {object} m - The message object.
+    * @param {object} opts - Rate options declared in plugin metadata.
+    * @param {number} now - Current timestamp in milliseconds.
+    * @returns {{ key: string, bucket: object }} - The bucket key and the bucket, a new bucket isn't stored yet.
+    */
+   refill = (command, m, { cooldown, burst = 1, scope = 'user' }, now) => {
+      const capacity = Math.max(1, parseInt(burst) || 1)
+      const interval = cooldown * 1000
+      const key = command + ':' + this.scopeKey(m, scope)
+      const bucket = this.buckets.get(key) || { tokens: capacity, updated: now, capacity, interval }
+      const refill = Math.floor((now - bucket.updated) / interval)
+      if (refill > 0) {
+         bucket.tokens = Math.min(capacity, bucket.tokens + refill)
+         bucket.updated = bucket.tokens === capacity ? now : bucket.updated + (refill * interval)
+      }
+      bucket.capacity = capacity
+      bucket.interval = interval
+      return { key, bucket }
+   }
+
+   /**
+    * Checks whether the bucket of a command has a token left without taking it.
+    * @param {string} command - The command (or plugin) name that owns the bucket.
+    * @param {object} m - The message object.
+    * @param {object} opts - Rate options declared in plugin metadata (see consume).
+    * @returns {{ allowed: boolean, wait: number }} - Whether a request would be allowed and the milliseconds to wait if not.
+    */
+   check = (command, m, opts = {}) => {
+      if (!opts.cooldown || opts.cooldown <= 0) return { allowed: true, wait: 0 }
+      const now = Date.now()
+      const { bucket } = this.refill(command, m, opts, now)
+      if (bucket.tokens < 1) return { allowed: false, wait: bucket.interval - (now - bucket.updated) }
+      return { allowed: true, wait: 0 }
+   }
+
+   /**
+    * Takes one token from the bucket of a command.
+    * The bucket holds up to `burst` tokens and regains one token every `cooldown` seconds.
+    * @param {string} command - The command (or plugin) name that owns the bucket.
+    * @param {object} m - The message object.
+    * @param {object} opts - Rate options declared in plugin metadata.
+    * @param {number} opts.cooldown - Seconds needed to regain one token.
+    * @param {number} [opts.burst=1] - Maximum number of tokens that can be used in a row.
+    * @param {string} [opts.scope='user'] - Scope of the bucket, options: 'user' | 'chat' | 'global'.
+    * @returns {{ allowed: boolean, wait: number }} - Whether the request is allowed and the milliseconds to wait if not.
+    */
+   consume = (command, m, opts = {}) => {
+      if (!opts.cooldown || opts.cooldown <= 0) return { allowed: true, wait: 0 }
+      const now = Date.now()
+      if (this.buckets.size >= this.maxSize) this.prune(now)
+      const { key, bucket } = this.refill(command, m, opts, now)
+      if (bucket.tokens < 1) {
+         this.buckets.set(key, bucket)
+         return { allowed: false, wait: bucket.interval - (now - bucket.updated) }
+      }
+      if (bucket.tokens === bucket.capacity) bucket.updated = now
+      bucket.tokens -= 1
+      this.buckets.set(key, bucket)
+      return { allowed: true, wait: 0 }
+   }
+
+   /**
+    * Clears all buckets of a command, or every bucket when no command is given.
+    * @param {string} [command] - The command name.
+    */
+   reset = command => {
+      if (!command) return this.buckets.clear()
+      for (const key of this.buckets.keys()) {
+         if (key.startsWith(command + ':')) this.buckets.delete(key)
+      }
+   }
+}
@@ -0,0 +1,46 @@
+const path = require('path')
+
+module.exports = class Reloader {
+   /**
+    * @param {string} [root] - Project root, only modules inside it (outside node_modules) are reloaded.
+    */
+   constructor(root = process.cwd()) {
+      this.root = path.resolve(root)
+      // modules holding the bot state, reloading them would create a second copy
+      this.skip = ['handler.js', 'client.js', 'lib/system/config.js'].map(v => path.join(this.root, v))
+   }
+
+   /**
+    * Collects the local modules required by a file, recursively.
+    * @param {string} file - Absolute path of the module.
+    * @param {Set<string>} [seen]
+    * @returns {string[]} - Absolute paths, the file itself first.
+    */
+   dependencies = (file, seen = new Set) => {
+      if (seen.has(file)) return []
+      seen.add(file)
+      const cached = require.cache[file]
+      const children = cached ? cached.children.map(v => v.id).filter(v => v.startsWith(this.root + path.sep) && !v.includes(`${path.sep}node_modules${path.sep}`) && !this.skip.includes(v)) : []
+      return [file, ...children.flatMap(v => this.dependencies(v, seen))]
+   }
+
+   /**
+    * Reloads a module and its local requires, the previous versions are put back when loading fails.
+    * @param {string} file - Absolute path of the module.
+    * @returns {object} - { module, files } the new module and the reloaded files.
+    */
+   reload = file => {
+      const files = this.dependencies(file)
+      const previous = new Map(files.map(v => [v, require.cache[v]]))
+      for (const v of files) delete require.cache[v]
+      try {
+         return { module: require(file), files }
+      } catch (e) {
+         for (const [v, cached] of previous) {
+            if (cached) require.cache[v] = cached
+            else delete require.cache[v]
+         }
+         throw e
+      }
+   }
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { Component } = require('@neoxr/wb')
+const { Function: Func } = new Component
+const crypto = require('crypto')
+
+module.exports = class Reminder {
+   /**
+    * @param {number} [max=10] - Maximum pending reminders per user.
+    * @param {number} [retries=10] - Failed sends (one per minute) before a reminder is given up.
+    */
+   constructor(max = 10, retries = 10) {
+      this.max = max
+      this.retries = retries
+   }
+
+   /**
+    * Returns the pending reminders of a user, stored in the user record.
+    * @param {object} users - The user record.
+    * @returns {object[]}
+    */
+   store = users => {
+      if (!Array.isArray(users.reminders)) users.reminders = []
+      return users.reminders
+   }
+
+   /**
+    * Adds a reminder.
+    * @param {object} users - The user record.
+    * @param {object} data - The reminder.
+    * @param {number} data.at - Delivery time (timestamp).
+    * @param {string} data.text - The reminder text.
+    * @param {string} data.chat - Chat where the reminder is delivered.
+    * @returns {object} - The stored reminder.
+    */
+   add = (users, { at, text, chat }) => {
+      const list = this.store(users)
+      let id
+      do id = crypto.randomBytes(2).toString('hex').toUpperCase()
+      while (list.some(v => v.id === id))
+      const item = { id, at, text, chat, created: Date.now() }
+      list.push(item)
+      list.sort((a, b) => a.at - b.at)
+      return item
+   }
+
+   /**
+    * Removes a reminder by ID.
+    * @param {object} users - The user record.
+    * @param {string} id - The reminder ID.
+    * @returns {boolean} - False if it doesn't exist.
+    */
+   remove = (users, id) => {
+      const list = this.store(users)
+      const item = list.find(v => v.id === String(id || '').toUpperCase())
+      if (!item) return false
+      users.reminders = list.filter(v => v !== item)
+      return true
+   }
+
+   /**
+    * Delivers every due reminder of all users, called every minute by the scheduler.
+    * Reminders missed while the bot was offline are delivered late rather than dropped.
+    * A reminder is only removed once it has been sent, a failed one (e.g. while reconnecting) is tried again
+    * on the next run and given up after `retries` failures.
+    * @param {object} client - The socket.
+    * @param {number} [now] - Current timestamp.
+    * @returns {Promise<void>}
+    */
+   deliver = async (client, now = Date.now()) => {
+      for (const users of global.db.users) {
+         if (!Array.isArray(users.reminders) || users.reminders.length < 1) continue
+         const due = users.reminders.filter(v => v.at <= now)
+         if (due.length < 1) continue
+         for (const item of due) {
+            try {
+               let teks = `乂  *R E M I N D E R*\n\n`
+               teks += `@${users.jid.replace(/@.+/, '')}, ${item.text}`
+               if (now - item.at > 60_000 * 5) teks += `\n\n_Delivered late (${Func.toTime(now - item.at)}) because the bot was offline._`
+               await client.reply(item.chat, teks, null, {
+                  mentions: [users.jid]
+               })
+               this.remove(users, item.id)
+            } catch (e) {
+               console.log(e)
+               item.failed = (item.failed || 0) + 1
+               if (item.failed >= this.retries) this.remove(users, item.id)
+            }
+            await Func.delay(1000)
+         }
+      }
+   }
+}
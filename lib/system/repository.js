@@ -0,0 +1,142 @@
+module.exports = class Repository {
+   /**
+    * Indexed access to a collection of global.db (users, groups or chats).
+    * The array in global.db stays the persisted form, so every backend (local, mongo, postgres) saves it as before,
+    * the Map of JID to array position only replaces the linear `find` scans.
+    * @param {string} collection - Collection name in global.db.
+    */
+   constructor(collection) {
+      this.collection = collection
+      this.map = new Map
+      this.source = null
+      this.length = 0
+      this.tail = null
+   }
+
+   /**
+    * Returns the persisted array, creating it when missing.
+    * @returns {object[]}
+    */
+   list = () => {
+      if (!Array.isArray(global.db[this.collection])) global.db[this.collection] = []
+      return global.db[this.collection]
+   }
+
+   /**
+    * Returns the index, it is rebuilt when global.db is reloaded or the array was changed without the repository
+    * (other length or another last record, e.g. a splice followed by a push).
+    * @returns {Map<string, number>}
+    */
+   index = () => {
+      const list = this.list()
+      if (list !== this.source || list.length !== this.length || list[list.length - 1] !== this.tail) this.sync()
+      return this.map
+   }
+
+   /**
+    * Rebuilds the index from the array, the first record wins when a JID is duplicated (same as `find`).
+    * @returns {Map<string, number>}
+    */
+   sync = () => {
+      const list = this.list()
+      this.map = new Map
+      list.forEach((record, i) => {
+         if (record && record.jid && !this.map.has(record.jid)) this.map.set(record.jid, i)
+      })
+      this.source = list
+      this.length = list.length
+      this.tail = list[list.length - 1]
+      return this.map
+   }
+
+   /**
+    * Gets a record by JID, the index is rebuilt when the record at the cached position is another one.
+    * @param {string} jid - The JID.
+    * @returns {object|undefined}
+    */
+   get = jid => {
+      if (!jid) return
+      const position = this.index().get(jid)
+      if (typeof position === 'undefined') return
+      const record = this.list()[position]
+      if (record && record.jid === jid) return record
+      const synced = this.sync().get(jid)
+      return typeof synced === 'undefined' ? undefined : this.list()[synced]
+   }
+
+   /**
+    * Checks if a record exists.
+    * @param {string} jid - The JID.
+    * @returns {boolean}
+    */
+   has = jid => !!this.get(jid)
+
+   /**
+    * Creates a record or merges data into the existing one.
+    * @param {string} jid - The JID.
+    * @param {object} [data] - Properties to set.
+    * @returns {object} - The record.
+    */
+   upsert = (jid, data = {}) => {
+      const record = this.get(jid)
+      if (record) return Object.assign(record, data)
+      const created = { jid, ...data }
+      const list = this.list()
+      list.push(created)
+      this.map.set(jid, list.length - 1)
+      this.length = list.length
+      this.tail = created
+      return created
+   }
+
+   /**
+    * Deletes a record by JID.
+    * @param {string} jid - The JID.
+    * @returns {boolean} - False if it doesn't exist.
+    */
+   delete = jid => {
+      const record = this.get(jid)
+      if (!record) return false
+      const list = this.list()
+      list.splice(list.indexOf(record), 1)
+      this.sync()
+      return true
+   }
+
+   /**
+    * Deletes every record matching the predicate in a single pass.
+    * @param {Function} fn - Predicate receiving the record.
+    * @returns {number} - Number of deleted records.
+    */
+   remove = fn => {
+      const list = this.list()
+      // compact in place so the array held by global.db stays the same
+      let kept = 0
+      for (const record of list) {
+         if (!fn(record)) list[kept++] = record
+      }
+      const removed = list.length - kept
+      list.length = kept
+      if (removed > 0) this.sync()
+      return removed
+   }
+
+   /**
+    * Returns the records matching the predicate.
+    * @param {Function} fn - Predicate receiving the record.
+    * @returns {object[]}
+    */
+   filter = fn => this.list().filter(fn)
+
+   /**
+    * Iterates over the records.
+    * @returns {Iterator<object>}
+    */
+   values = () => this.list().values()
+
+   /**
+    * Number of records.
+    * @returns {number}
+    */
+   size = () => this.list().length
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+module.exports = class Roles {
+   /**
+    * Normalizes a role name so "Moderator" and "moderator" are treated the same.
+    * @param {string} role - The role name.
+    * @returns {string|null} - The normalized role name, or null if the name is invalid.
+    */
+   normalize = role => {
+      const name = String(role || '').trim().toLowerCase()
+      return /^[a-z0-9_-]{2,20}$/.test(name) ? name : null
+   }
+
+   /**
+    * Returns the role storage of a scope, global roles live in db.setting and group roles in the group record.
+    * @param {object} [groupSet] - The group record, leave empty to get the global roles.
+    * @returns {object} - Object keyed by JID with an array of role names.
+    */
+   store = groupSet => {
+      const target = groupSet || global.db.setting
+      if (!target.roles || typeof target.roles !== 'object') target.roles = {}
+      return target.roles
+   }
+
+   /**
+    * Gets all roles of a user, merging global roles with the roles of the current group.
+    * @param {string} jid - The user's JID.
+    * @param {object} [groupSet] - The group record.
+    * @returns {string[]} - List of role names.
+    */
+   get = (jid, groupSet) => {
+      const roles = [...(this.store()[jid] || [])]
+      if (groupSet) roles.push(...(this.store(groupSet)[jid] || []))
+      return [...new Set(roles)]
+   }
+
+   /**
+    * Checks if a user has at least one of the given roles.
+    * @param {string[]|string} required - Role name or list of role names.
+    * @param {string} jid - The user's JID.
+    * @param {object} [groupSet] - The group record.
+    * @returns {boolean}
+    */
+   check = (required, jid, groupSet) => {
+      const list = (required instanceof Array ? required : [required]).map(this.normalize).filter(Boolean)
+      if (list.length < 1) return false
+      return this.get(jid, groupSet).some(v => list.includes(v))
+   }
+
+   /**
+    * Assigns a role to a user.
+    * @param {string} jid - The user's JID.
+    * @param {string} role - The role name.
+    * @param {object} [groupSet] - The group record, leave empty to assign a global role.
+    * @returns {boolean} - False if the user already has the role.
+    */
+   add = (jid, role, groupSet) => {
+      const store = this.store(groupSet)
+      if (!store[jid]) store[jid] = []
+      if (store[jid].includes(role)) return false
+      store[jid].push(role)
+      return true
+   }
+
+   /**
+    * Removes a role from a user.
+    * @param {string} jid - The user's JID.
+    * @param {string} role - The role name.
+    * @param {object} [groupSet] - The group record, leave empty to remove a global role.
+    * @returns {boolean} - False if the user doesn't have the role.
+    */
+   remove = (jid, role, groupSet) => {
+      const store = this.store(groupSet)
+      if (!store[jid] || !store[jid].includes(role)) return false
+      store[jid] = store[jid].filter(v => v !== role)
+      if (store[jid].length < 1) delete store[jid]
+      return true
+   }
+
+   /**
+    * Lists every role holder of a scope.
+    * @param {object} [groupSet] - The group record, leave empty to list global roles.
+    * @returns {Array<[string, string[]]>} - Pairs of JID and role names.
+    */
+   list = groupSet => Object.entries(this.store(groupSet)).filter(([_, roles]) => roles.length > 0)
+}
@@ -0,0 +1,269 @@
+const errors = new (require('./errors'))
+const argument = new (require('./arguments'))
+
+const FIELDS = [
+   { min: 0, max: 59 }, // minute
+   { min: 0, max: 23 }, // hour
+   { min: 1, max: 31 }, // day of month
+   { min: 1, max: 12 }, // month
+   { min: 0, max: 7 } // day of week, 0 and 7 are sunday
+]
+
+module.exports = class Scheduler {
+   /**
+    * @param {object} [opts] - Scheduler options.
+    * @param {number} [opts.tick=30000] - How often (ms) due jobs are checked.
+    */
+   constructor(opts = {}) {
+      this.tick = opts.tick || 30_000
+      this.jobs = new Map
+      this.running = new Set
+      this.timer = null
+   }
+
+   /**
+    * Parses a schedule, either a 5-field cron expression ("0 0 * * *") or an interval ("every 2h").
+    * @param {string} schedule - The schedule expression.
+    * @returns {object|null} - { type: 'cron', fields } or { type: 'every', ms }, null if invalid.
+    */
+   parse = schedule => {
+      const expr = String(schedule || '').trim().toLowerCase()
+      const every = expr.match(/^every\s+(.+)$/)
+      if (every) {
+         const ms = argument.parseDuration(every[1].replace(/\s+/g, ''))
+         return ms && ms >= 60_000 ? { type: 'every', ms } : null
+      }
+      const parts = expr.split(/\s+/)
+      if (parts.length !== 5) return null
+      const fields = parts.map((part, i) => this.field(part, FIELDS[i]))
+      if (fields.some(v => !v)) return null
+      if (fields[4].has(7)) fields[4].add(0)
+      return { type: 'cron', fields, dom: parts[2] !== '*', dow: parts[4] !== '*' }
+   }
+
+   /**
+    * Expands a single cron field (*, 5, 1-5, *\/15, 1,15,30) into a set of values.
+    * @param {string} part - The field expression.
+    * @param {object} range - The allowed { min, max }.
+    * @returns {Set<number>|null}
+    */
+   field = (part, range) => {
+      const values = new Set
+      for (const item of part.split(',')) {
+         const match = item.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/)
+         if (!match) return null
+         const start = match[1] === '*' ? range.min : Number(match[1])
+         const end = match[1] === '*' ? range.max : match[2] ? Number(match[2]) : match[3] ? range.max : start
+         const step = match[3] ? Number(match[3]) : 1
+         if (start < range.min || end > range.max || start > end || step < 1) return null
+         for (let i = start; i <= end; i += step) values.add(i)
+      }
+      return values
+   }
+
+   /**
+    * Checks whether a date matches a parsed cron schedule (local time, follows process.env.TZ).
+    * @param {object} parsed - Result of parse() with type 'cron'.
+    * @param {Date} date - The date to check.
+    * @returns {boolean}
+    */
+   matches = (parsed, date) => {
+      const [minute, hour, dom, month, dow] = parsed.fields
+      if (!minute.has(date.getMinutes()) || !hour.has(date.getHours()) || !month.has(date.getMonth() + 1)) return false
+      // like cron, when both day fields are restricted either one may match
+      if (parsed.dom && parsed.dow) return dom.has(date.getDate()) || dow.has(date.getDay())
+      return dom.has(date.getDate()) && dow.has(date.getDay())
+   }
+
+   /**
+    * Calculates the next run time after a given time.
+    * @param {string} schedule - The schedule expression.
+    * @param {number} from - Timestamp (ms) to start from.
+    * @param {number} [until] - Stop searching after this timestamp, default is one year ahead.
+    * @returns {number|null} - Timestamp of the next run, null if there is none before `until`.
+    */
+   next = (schedule, from, until) => {
+      const parsed = this.parse(schedule)
+      if (!parsed) return null
+      if (parsed.type === 'every') return from + parsed.ms
+      const limit = until || from + 366 * 86_400_000
+      const date = new Date(from)
+      date.setSeconds(0, 0)
+      date.setMinutes(date.getMinutes() + 1)
+      while (date.getTime() <= limit) {
+         if (this.matches(parsed, date)) return date.getTime()
+         date.setMinutes(date.getMinutes() + 1)
+      }
+      return null
+   }
+
+   /**
+    * Resolves a human time input into a recurring schedule or a one-off time.
+    * Recurring : cron expression, "every 2h", "daily 20:00" or "monday 08:00" (also "every monday 08:00").
+    * One-off : duration ("10m", "1h30m"), "20:00", "today 20:00", "tomorrow 09:00" or "2025-12-31 23:59".
+    * @param {string} input - The time input.
+    * @param {number} [now] - Current timestamp.
+    * @returns {object|null} - { schedule } for recurring, { at } for one-off, null if invalid or already passed.
+    */
+   resolve = (input, now = Date.now()) => {
+      const expr = String(input || '').trim().toLowerCase().replace(/\s+/g, ' ')
+      const clock = str => {
+         const match = String(str || '').match(/^([01]?\d|2[0-3])[:.]([0-5]\d)$/)
+         return match ? [Number(match[1]), Number(match[2])] : null
+      }
+      let match
+      if ((match = expr.match(/^(?:every )?(daily|day|sunday|monday|tuesday|wednesday|thursday|friday|saturday) (\S+)$/))) {
+         const time = clock(match[2])
+         const day = ['daily', 'day'].includes(match[1]) ? '*' : ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(match[1])
+         return time ? { schedule: `${time[1]} ${time[0]} * * ${day}` } : null
+      }
+      if (this.parse(expr)) return { schedule: expr }
+      const duration = argument.parseDuration(expr.replace(/ /g, ''))
+      if (duration) return { at: now + duration }
+      if ((match = expr.match(/^(?:(today|tomorrow) )?(\S+)$/)) && clock(match[2])) {
+         const [hour, minute] = clock(match[2])
+         const date = new Date(now)
+         date.setHours(hour, minute, 0, 0)
+         if (match[1] === 'tomorrow' || (!match[1] && date.getTime() <= now)) date.setDate(date.getDate() + 1)
+         return date.getTime() > now ? { at: date.getTime() } : null
+      }
+      if ((match = expr.match(/^(\d{4})-(\d{1,2})-(\d{1,2}) (\S+)$/)) && clock(match[4])) {
+         const [hour, minute] = clock(match[4])
+         const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), hour, minute)
+         return date.getTime() > now ? { at: date.getTime() } : null
+      }
+      return null
+   }
+
+   /**
+    * Returns the persisted job records, stored in db.jobs keyed by job name.
+    * @returns {object}
+    */
+   store = () => {
+      if (!global.db.jobs || typeof global.db.jobs !== 'object') global.db.jobs = {}
+      return global.db.jobs
+   }
+
+   /**
+    * Registers a job, the record (schedule, paused state, last run) is kept in the database.
+    * @param {string} name - Unique job name.
+    * @param {object} opts - Job options.
+    * @param {string} opts.schedule - Cron expression or "every <duration>".
+    * @param {string} [opts.description] - Short description shown in .jobs.
+    * @param {boolean} [opts.catchup=true] - Run once after a restart when a run was missed.
+    * @param {Function} fn - The job function, can be async.
+    * @returns {Scheduler}
+    */
+   define = (name, opts, fn) => {
+      if (!this.parse(opts.schedule)) throw new Error(`Invalid schedule "${opts.schedule}" for job ${name}`)
+      this.jobs.set(name, {
+         name,
+         schedule: opts.schedule,
+         description: opts.description || '',
+         catchup: opts.catchup !== false,
+         fn
+      })
+      const records = this.store()
+      if (!records[name]) records[name] = { lastRun: Date.now(), runs: 0, paused: false, error: null }
+      records[name].schedule = opts.schedule
+      records[name].description = opts.description || ''
+      return this
+   }
+
+   /**
+    * Starts checking due jobs, missed runs are caught up on the first check.
+    */
+   start = () => {
+      if (this.timer) return
+      this.check()
+      this.timer = setInterval(() => this.check(), this.tick)
+   }
+
+   /**
+    * Stops the scheduler.
+    */
+   stop = () => {
+      clearInterval(this.timer)
+      this.timer = null
+   }
+
+   /**
+    * Runs every job that is due.
+    * @param {number} [now] - Current timestamp, mainly for testing.
+    * @returns {Promise<void>}
+    */
+   check = async (now = Date.now()) => {
+      if (!global.db) return
+      const records = this.store()
+      for (const job of this.jobs.values()) {
+         const record = records[job.name]
+         if (!record || record.paused || this.running.has(job.name)) continue
+         const due = this.next(job.schedule, record.lastRun || now, now)
+         if (!due || due > now) continue
+         // the run was missed while the bot was offline and the job doesn't want to catch up
+         if (!job.catchup && now - due > this.tick * 2) {
+            record.lastRun = now
+            continue
+         }
+         this.run(job.name)
+      }
+   }
+
+   /**
+    * Runs a job immediately, regardless of its schedule or paused state.
+    * @param {string} name - The job name.
+    * @returns {Promise<boolean>} - False if the job doesn't exist or is already running.
+    */
+   run = async name => {
+      const job = this.jobs.get(name)
+      if (!job || this.running.has(name)) return false
+      const record = this.store()[name]
+      this.running.add(name)
+      try {
+         await job.fn()
+         record.error = null
+      } catch (e) {
+         console.log(e)
+         record.error = errors.capture(e, { plugin: 'scheduler', command: name })
+      } finally {
+         record.lastRun = Date.now()
+         record.runs = (record.runs || 0) + 1
+         this.running.delete(name)
+      }
+      return true
+   }
+
+   /**
+    * Pauses or resumes a job.
+    * @param {string} name - The job name.
+    * @param {boolean} paused - True to pause, false to resume.
+    * @returns {boolean} - False if the job doesn't exist.
+    */
+   pause = (name, paused = true) => {
+      if (!this.jobs.has(name)) return false
+      this.store()[name].paused = paused
+      return true
+   }
+
+   /**
+    * Lists registered jobs with their persisted state.
+    * @returns {object[]} - Jobs with name, schedule, description, paused, running, lastRun, nextRun, runs and error.
+    */
+   list = () => {
+      const records = this.store()
+      return [...this.jobs.values()].map(job => {
+         const record = records[job.name] || {}
+         return {
+            name: job.name,
+            schedule: job.schedule,
+            description: job.description,
+            paused: Boolean(record.paused),
+            running: this.running.has(job.name),
+            lastRun: record.lastRun || 0,
+            nextRun: this.next(job.schedule, this.parse(job.schedule).type === 'every' ? record.lastRun || Date.now() : Date.now()),
+            runs: record.runs || 0,
+            error: record.error || null
+         }
+      })
+   }
+}
@@ -2,47 +2,32 @@ const { models } = require('./models')
 const init = new (require('./init'))
 
 module.exports = (m, env) => {
-   let user = global.db.users.find(v => v.jid == m.sender)
+   let user = global.repo.users.get(m.sender)
    if (user) {
       init.execute(user, models.users, {
          name: m.pushName,
          limit: env.limit
       })
    } else {
-      global.db.users.push({
-         jid: m.sender,
-         ...(init.getModel(models?.users || {}))
-      })
+      global.repo.users.upsert(m.sender, init.getModel(models?.users || {}))
    }
 
    if (m.isGroup) {
-      let group = global.db.groups.find(v => v.jid == m.chat)
+      let group = global.repo.groups.get(m.chat)
       if (group) {
          init.execute(group, models.groups)
       } else {
-         global.db.groups.push({
-            jid: m.chat,
-            ...(init.getModel(models?.groups || {}))
-         })
+         global.repo.groups.upsert(m.chat, init.getModel(models?.groups || {}))
       }
    }
 
-   let chat = global.db.chats.find(v => v.jid == m.chat)
+   let chat = global.repo.chats.get(m.chat)
    if (chat) {
       init.execute(chat, models.chats)
    } else {
-      global.db.chats.push({
-         jid: m.chat,
-         ...(init.getModel(models?.chats || {}))
-      })
+      global.repo.chats.upsert(m.chat, init.getModel(models?.chats || {}))
    }
 
-   let setting = global.db.setting
-   if (setting && Object.keys(setting).length < 1) {
-      init.execute(setting, models.setting)
-   } else {
-      setting = {
-         ...(init.getModel(models?.setting || {}))
-      }
-   }
+   if (!global.db.setting || typeof global.db.setting !== 'object') global.db.setting = {}
+   init.execute(global.db.setting, models?.setting || {})
 }
\ No newline at end of file
@@ -0,0 +1,175 @@
+const fs = require('fs')
+
+// arrays of records keyed by jid, objects keyed by their own keys, everything else is one row of the store table
+const COLLECTIONS = ['users', 'groups', 'chats']
+const MAPS = ['statistic']
+
+module.exports = class SQLiteDB {
+   /**
+    * Initializes the SQLite database, rows are only written when they changed since the last save.
+    * @param {string} [filePath] - Database name, stored as `<name>.db`. Defaults to 'database'.
+    * @param {object} [opts]
+    * @param {boolean} [opts.import=true] - Import `<name>.json` when the database is still empty.
+    */
+   constructor(filePath = 'database', opts = {}) {
+      this.name = filePath
+      this.autoImport = opts.import !== false
+      this.filePath = filePath + '.db'
+      this.db = new (require('better-sqlite3'))(this.filePath)
+      this.db.pragma('journal_mode = WAL')
+      this.db.pragma('synchronous = NORMAL')
+      for (const table of [...COLLECTIONS, ...MAPS, 'store']) {
+         this.db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`)
+      }
+      // last written JSON of every row, used to skip unchanged rows
+      this.written = new Map
+      this.imported = false
+   }
+
+   /**
+    * Gets the cache of written rows of a table.
+    * @param {string} table - Table name.
+    * @returns {Map<string, string>}
+    */
+   cache = table => {
+      if (!this.written.has(table)) this.written.set(table, new Map)
+      return this.written.get(table)
+   }
+
+   /**
+    * Splits the database object into rows per table.
+    * @param {object} data - The database object (global.db).
+    * @returns {object} - Object keyed by table with a Map of id => JSON.
+    */
+   rows = data => {
+      const tables = {}
+      for (const table of COLLECTIONS) {
+         tables[table] = new Map
+         for (const record of Array.isArray(data[table]) ? data[table] : []) {
+            if (record && record.jid && !tables[table].has(record.jid)) tables[table].set(record.jid, JSON.stringify(record))
+         }
+      }
+      for (const table of MAPS) {
+         tables[table] = new Map(Object.entries(data[table] || {}).map(([id, value]) => [id, JSON.stringify(value)]))
+      }
+      tables.store = new Map
+      for (const [key, value] of Object.entries(data)) {
+         if (COLLECTIONS.includes(key) || MAPS.includes(key) || typeof value === 'undefined') continue
+         tables.store.set(key, JSON.stringify(value))
+      }
+      return tables
+   }
+
+   /**
+    * Saves the data, only changed rows are written and removed ones are deleted, all in one transaction.
+    * @param {object} data - The database object (global.db).
+    * @returns {Promise<object>} - Number of written and deleted rows.
+    */
+   save = async data => {
+      const result = { written: 0, deleted: 0 }
+      const tables = this.rows(data)
+      this.db.transaction(() => {
+         for (const [table, rows] of Object.entries(tables)) {
+            const cache = this.cache(table)
+            const upsert = this.db.prepare(`INSERT INTO "${table}" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`)
+            const remove = this.db.prepare(`DELETE FROM "${table}" WHERE id = ?`)
+            for (const [id, json] of rows) {
+               if (cache.get(id) === json) continue
+               upsert.run(id, json)
+               result.written++
+            }
+            for (const id of cache.keys()) {
+               if (rows.has(id)) continue
+               remove.run(id)
+               result.deleted++
+            }
+            this.written.set(table, rows)
+         }
+      })()
+      return result
+   }
+
+   /**
+    * Updates a single row right away without waiting for the next save.
+    * @param {string} table - users, groups, chats, statistic or store.
+    * @param {string} id - The row ID (JID, statistic key or store key).
+    * @param {any} value - The row data.
+    */
+   update = (table, id, value) => {
+      const json = JSON.stringify(value)
+      this.db.prepare(`INSERT INTO "${this.table(table)}" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`).run(id, json)
+      this.cache(table).set(id, json)
+   }
+
+   /**
+    * Deletes a single row right away.
+    * @param {string} table - users, groups, chats, statistic or store.
+    * @param {string} id - The row ID.
+    */
+   remove = (table, id) => {
+      this.db.prepare(`DELETE FROM "${this.table(table)}" WHERE id = ?`).run(id)
+      this.cache(table).delete(id)
+   }
+
+   /**
+    * Checks a table name, table names can't be bound as parameters.
+    * @param {string} table - Table name.
+    * @returns {string}
+    */
+   table = table => {
+      if (![...COLLECTIONS, ...MAPS, 'store'].includes(table)) throw new Error(`Unknown table ${table}`)
+      return table
+   }
+
+   /**
+    * Checks if the database doesn't have any row yet.
+    * @returns {boolean}
+    */
+   isEmpty = () => [...COLLECTIONS, ...MAPS, 'store'].every(table => !this.db.prepare(`SELECT 1 FROM "${table}" LIMIT 1`).get())
+
+   /**
+    * Closes the database file.
+    */
+   close = () => {
+      if (this.db.open) this.db.close()
+   }
+
+   /**
+    * Fetches the data from the tables and rebuilds the database object.
+    * On the first start the existing JSON database (`<name>.json`) is imported once.
+    * @returns {Promise<object|null>} - The data, or null if there is nothing stored.
+    */
+   fetch = async () => {
+      if (this.isEmpty()) return this.autoImport ? this.import() : null
+      const data = {}
+      for (const table of [...COLLECTIONS, ...MAPS, 'store']) {
+         const cache = this.cache(table)
+         for (const row of this.db.prepare(`SELECT id, data FROM "${table}" ORDER BY rowid`).all()) {
+            cache.set(row.id, row.data)
+            const value = JSON.parse(row.data)
+            if (COLLECTIONS.includes(table)) (data[table] = data[table] || []).push(value)
+            else if (MAPS.includes(table)) (data[table] = data[table] || {})[row.id] = value
+            else data[row.id] = value
+         }
+      }
+      return data
+   }
+
+   /**
+    * Imports a local JSON database (read through LocalDB so checksums and snapshots are honored), the file itself is left untouched.
+    * @param {string} [name] - Local database name, the file is `<name>.json`. Defaults to the same name as this database.
+    * @returns {Promise<object|null>} - The imported data, or null if the file doesn't exist or isn't valid.
+    */
+   import = async (name = this.name) => {
+      if (!fs.existsSync(name + '.json')) return null
+      const data = await new (require('./localdb'))(name).fetch()
+      if (!data) {
+         console.log(`Failed to import ${name}.json, the file is not a valid database`)
+         return null
+      }
+      const result = await this.save(data)
+      this.imported = true
+      console.log(`Imported ${name}.json into ${this.filePath} (${result.written} rows)`)
+      return data
+   }
+}
\ No newline at end of file
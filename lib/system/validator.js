@@ -0,0 +1,121 @@
+const fs = require('fs')
+const path = require('path')
+
+const KNOWN = ['usage', 'hidden', 'use', 'category', 'async', 'before', 'after', 'error', 'cache', 'location', 'owner', 'admin', 'group', 'private', 'botAdmin', 'limit', 'premium', 'restrict', 'roles', 'params', 'separator', 'cooldown', 'burst', 'example', 'timeout', 'priority', 'bypassBan', 'bypassMute', 'bypassSelf', 'download', 'game', 'regex']
+const FLAGS = ['error', 'cache', 'owner', 'admin', 'group', 'private', 'botAdmin', 'premium', 'restrict', 'bypassBan', 'bypassMute', 'bypassSelf', 'download', 'game', 'regex']
+
+module.exports = class PluginValidator {
+   /**
+    * @param {string} [dir='plugins'] - The plugins directory.
+    */
+   constructor(dir = 'plugins') {
+      this.dir = path.resolve(dir)
+   }
+
+   /**
+    * Lists every plugin file, plugins are keyed by file name so two files with the same name collide.
+    * @param {string} [dir] - Directory to read.
+    * @returns {string[]} - Absolute paths.
+    */
+   files = (dir = this.dir) => {
+      if (!fs.existsSync(dir)) return []
+      return fs.readdirSync(dir, { withFileTypes: true }).flatMap(v => v.isDirectory() ? this.files(path.join(dir, v.name)) : v.name.endsWith('.js') ? [path.join(dir, v.name)] : [])
+   }
+
+   /**
+    * Checks the metadata (exports.run) of a single plugin.
+    * @param {string} name - Plugin name.
+    * @param {object} mod - The plugin module.
+    * @param {string} [file] - The plugin file, compared to `location`.
+    * @returns {object[]} - [{ level: 'error' | 'warning', message }]
+    */
+   validate = (name, mod, file) => {
+      const issues = []
+      const error = message => issues.push({ level: 'error', message })
+      const warning = message => issues.push({ level: 'warning', message })
+      const run = mod && mod.run
+      if (!run || typeof run !== 'object') {
+         error('exports.run is missing')
+         return issues
+      }
+      const isHook = !run.async && (typeof run.before === 'function' || typeof run.after === 'function')
+      if (!isHook && typeof run.async !== 'function') error('async is not a function')
+      for (const key of ['usage', 'hidden']) {
+         if (!(key in run)) continue
+         const value = run[key]
+         // handler.js matches commands with `instanceof Array` / `instanceof String`, a plain string never matches
+         if (typeof value === 'string') error(`${key} is a string, use ['${value}']`)
+         else if (!(value instanceof Array || value instanceof String)) error(`${key} must be an array of commands`)
+         else if (value instanceof Array && value.some(v => typeof v !== 'string' || !v.trim())) error(`${key} has an empty or non-string command`)
+         else if (value instanceof Array && value.some(v => v !== v.toLowerCase() || /\s/.test(v))) warning(`${key} has commands with uppercase letters or spaces, they can't be typed`)
+      }
+      if (run.usage) {
+         if (!run.category) warning('category is missing, the command is hidden from the menu')
+         if (run.async && run.async.length < 2) warning('async doesn\'t take the (m, { ... }) arguments')
+      }
+      if (run.cache && !run.location) warning('cache is set without location : __filename')
+      if (run.location && file && path.resolve(run.location) !== path.resolve(file)) warning('location doesn\'t point to this file')
+      for (const key of FLAGS) {
+         if (key in run && typeof run[key] !== 'boolean') warning(`${key} should be true or false`)
+      }
+      if ('limit' in run && !['boolean', 'number'].includes(typeof run.limit)) warning('limit should be a boolean or a number')
+      if ('priority' in run && typeof run.priority !== 'number') warning('priority should be a number')
+      for (const key of Object.keys(run)) {
+         if (!KNOWN.includes(key)) warning(`unknown option ${key}`)
+      }
+      return issues
+   }
+
+   /**
+    * Finds commands (usage and hidden) claimed by more than one plugin.
+    * @param {object} plugins - Plugins keyed by name.
+    * @returns {object[]} - [{ command, plugins }]
+    */
+   duplicates = plugins => {
+      const owners = new Map
+      for (const [name, mod] of Object.entries(plugins)) {
+         const run = mod && mod.run || {}
+         const commands = [...(run.usage instanceof Array ? run.usage : run.usage instanceof String ? [String(run.usage)] : []), ...(run.hidden instanceof Array ? run.hidden : run.hidden instanceof String ? [String(run.hidden)] : [])]
+         for (const command of new Set(commands)) {
+            if (!owners.has(command)) owners.set(command, [])
+            owners.get(command).push(name)
+         }
+      }
+      return [...owners].filter(([_, names]) => names.length > 1).map(([command, plugins]) => ({ command, plugins }))
+   }
+
+   /**
+    * Loads and checks every plugin of the directory.
+    * @returns {object} - { total, issues: [{ plugin, file, level, message }], duplicates }
+    */
+   scan = () => {
+      const plugins = {}
+      const issues = []
+      for (const file of this.files()) {
+         const name = path.basename(file, '.js')
+         const relative = path.relative(process.cwd(), file)
+         if (plugins[name]) issues.push({ plugin: name, file: relative, level: 'error', message: `same name as ${plugins[name].file}, only one of them is loaded` })
+         let mod
+         try {
+            mod = require(file)
+         } catch (e) {
+            issues.push({ plugin: name, file: relative, level: 'error', message: `failed to load : ${e.message}` })
+            continue
+         }
+         plugins[name] = { run: mod.run, file: relative }
+         for (const issue of this.validate(name, mod, file)) issues.push({ plugin: name, file: relative, ...issue })
+      }
+      return { total: Object.keys(plugins).length, issues, duplicates: this.duplicates(plugins) }
+   }
+
+   /**
+    * Renders a scan result as text.
+    * @param {object} result - Result of scan().
+    * @returns {string}
+    */
+   report = result => {
+      const lines = result.issues.map(v => `${v.level === 'error' ? '✗' : '!'} ${v.file} : ${v.message}`)
+      for (const v of result.duplicates) lines.push(`✗ command "${v.command}" is used by ${v.plugins.join(', ')}`)
+      return lines.join('\n')
+   }
+}
\ No newline at end of file
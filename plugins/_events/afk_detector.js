@@ -8,7 +8,7 @@ exports.run = {
       try {
          let afk = [...new Set([...(m.mentionedJid || []), ...(m.quoted ? [m.quoted.sender] : [])])]
          for (let jid of afk) {
-            let is_user = global.db.users.find(v => v.jid == jid)
+            let is_user = global.repo.users.get(jid)
             if (!is_user) continue
             let afkTime = is_user.afk
             if (!afkTime || afkTime < 0) continue
@@ -22,7 +22,7 @@ exports.run = {
             }
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -29,7 +29,7 @@ exports.run = {
          }
       } catch (e) {
          console.log(e)
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -1,4 +1,6 @@
 const decode = require('html-entities').decode
+const economy = new (require('../../../lib/system/economy'))
+
 exports.run = {
    regex: /^(?:https?:\/\/)?(?:www\.)?(?:mediafire\.com\/)(?:\S+)?$/,
    async: async (m, {
@@ -19,7 +21,7 @@ exports.run = {
                if (users.limit > 0) {
                   let limit = 1
                   if (users.limit >= limit) {
-                     users.limit -= limit
+                     economy.change(users, -limit, 'auto download')
                   } else return client.reply(m.chat, Func.texted('bold', `🚩 Your limit is not enough to use this feature.`), m)
                }
                client.sendReact(m.chat, '🕒', m.key)
@@ -49,7 +51,7 @@ exports.run = {
             }
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    limit: true,
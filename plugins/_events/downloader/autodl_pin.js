@@ -1,3 +1,5 @@
+const economy = new (require('../../../lib/system/economy'))
+
 exports.run = {
    regex: /pin(?:terest)?(?:\.it|\.com)/,
    async: async (m, {
@@ -16,7 +18,7 @@ exports.run = {
                if (users.limit > 0) {
                   let limit = 1
                   if (users.limit >= limit) {
-                     users.limit -= limit
+                     economy.change(users, -limit, 'auto download')
                   } else return client.reply(m.chat, Func.texted('bold', `🚩 Your limit is not enough to use this feature.`), m)
                }
                client.sendReact(m.chat, '🕒', m.key)
@@ -35,7 +37,7 @@ exports.run = {
             }
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    limit: true,
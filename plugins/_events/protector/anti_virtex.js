@@ -1,3 +1,5 @@
+const { CONSUMED } = require('../../../lib/system/pipeline')
+
 exports.run = {
    async: async (m, {
       client,
@@ -13,14 +15,18 @@ exports.run = {
                id: m.key.id,
                participant: m.sender
             }
-         }).then(() => client.groupParticipantsUpdate(m.chat, [m.sender], 'remove'))
+         }).then(() => client.groupParticipantsUpdate(m.chat, [m.sender], 'remove')).then(() => CONSUMED)
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
    group: true,
    botAdmin: true,
+   priority: 10,
+   bypassMute: true,
+   bypassBan: true,
+   bypassSelf: true,
    cache: true,
    location: __filename
 }
\ No newline at end of file
@@ -1,3 +1,5 @@
+const { CONSUMED } = require('../../../lib/system/pipeline')
+
 exports.run = {
    async: async (m, {
       client,
@@ -27,7 +29,7 @@ exports.run = {
                         }
                      })
                   })
-               })
+               }).then(() => CONSUMED)
                return client.reply(m.chat, `乂  *W A R N I N G* \n\nYou got warning : [ ${warning} / 5 ]\n\If you get 5 warnings you will be kicked automatically from the group.`, m).then(() => client.sendMessage(m.chat, {
                   delete: {
                      remoteJid: m.chat,
@@ -35,12 +37,16 @@ exports.run = {
                      id: m.key.id,
                      participant: m.sender
                   }
-               }))
+               })).then(() => CONSUMED)
             }
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
-   group: true
+   group: true,
+   priority: 10,
+   bypassMute: true,
+   bypassBan: true,
+   bypassSelf: true
 }
\ No newline at end of file
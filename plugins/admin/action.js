@@ -36,5 +36,6 @@ exports.run = {
    },
    group: true,
    admin: true,
+   roles: ['moderator'],
    botAdmin: true
 }
\ No newline at end of file
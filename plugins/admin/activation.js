@@ -9,7 +9,7 @@ exports.run = {
       command,
       Func
    }) => {
-      let gc = global.db.groups.find(v => v.jid == m.chat)
+      let gc = global.repo.groups.get(m.chat)
       let opt = [0, 1]
       if (!args || !args[0] || !opt.includes(parseInt(args[0]))) return client.reply(m.chat, `🚩 *Current status* : [ ${gc.mute ? 'True' : 'False'} ] (Enter *1* or *0*)`, m)
       if (parseInt(args[0]) == 1) {
@@ -24,6 +24,7 @@ exports.run = {
    },
    admin: true,
    group: true,
+   bypassMute: true,
    cache: true,
    location: __filename
 }
\ No newline at end of file
@@ -0,0 +1,59 @@
+exports.run = {
+   usage: ['gdisable', 'genable', 'gplugdis', 'gplugen', 'gdisabled'],
+   use: 'command / plugin name',
+   category: 'admin tools',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      groupSet,
+      setting,
+      ctx,
+      Func
+   }) => {
+      try {
+         const self = exports.run.usage
+         if (command == 'gdisabled') {
+            let teks = `乂  *D I S A B L E D*\n\n`
+            teks += `	◦  *Commands* : ${groupSet.commandDisable.length > 0 ? groupSet.commandDisable.map(v => isPrefix + v).join(', ') : '-'}\n`
+            teks += `	◦  *Plugins* : ${groupSet.pluginDisable.length > 0 ? groupSet.pluginDisable.map(v => v + '.js').join(', ') : '-'}\n`
+            teks += `	◦  *Global* : ${[...setting.error.map(v => isPrefix + v), ...setting.pluginDisable.map(v => v + '.js')].join(', ') || '-'}`
+            teks += `\n\n${global.footer}`
+            return client.reply(m.chat, teks, m)
+         }
+         if (!args || !args[0]) return client.reply(m.chat, Func.example(isPrefix, command, /plug/.test(command) ? 'auto_sticker' : 'couple'), m)
+         const target = args[0].toLowerCase()
+         if (command == 'gdisable') {
+            const commands = Func.arrayJoin(Object.values(ctx.plugins).filter(v => v.run.usage).map(v => [].concat(v.run.usage, v.run.hidden || [])))
+            if (!commands.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} does not exist.`), m)
+            if (self.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} can't be disabled.`), m)
+            if (groupSet.commandDisable.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 ${isPrefix + target} command was previously disabled in this group.`), m)
+            groupSet.commandDisable.push(target)
+            client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} disabled successfully in this group.`), m)
+         } else if (command == 'genable') {
+            if (!groupSet.commandDisable.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} is not disabled in this group.`), m)
+            groupSet.commandDisable = groupSet.commandDisable.filter(v => v !== target)
+            client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} successfully activated in this group.`), m)
+         } else if (command == 'gplugdis') {
+            const plugin = Object.entries(ctx.plugins).find(([name]) => name == target)
+            if (!plugin) return client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${target}.js not found.`), m)
+            if (plugin[1].run.owner || plugin[1].run.usage && [].concat(plugin[1].run.usage).some(v => self.includes(v))) return client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${target}.js can't be disabled.`), m)
+            if (groupSet.pluginDisable.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${target}.js previously has been disabled in this group.`), m)
+            groupSet.pluginDisable.push(target)
+            client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${target}.js successfully disabled in this group.`), m)
+         } else if (command == 'gplugen') {
+            if (!groupSet.pluginDisable.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${target}.js is not disabled in this group.`), m)
+            groupSet.pluginDisable = groupSet.pluginDisable.filter(v => v !== target)
+            client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${target}.js successfully enable in this group.`), m)
+         }
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   admin: true,
+   group: true,
+   cache: true,
+   location: __filename
+}
@@ -0,0 +1,49 @@
+exports.run = {
+   usage: ['gprefix', 'gnoprefix'],
+   use: 'symbol / reset / on / off',
+   category: 'admin tools',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      groupSet,
+      setting,
+      env,
+      Func
+   }) => {
+      try {
+         const current = groupSet.prefix || (setting.multiprefix ? setting.prefix.join(', ') : setting.onlyprefix)
+         if (command == 'gprefix') {
+            if (!args || !args[0]) return client.reply(m.chat, `🚩 *Current prefix* : [ ${current} ]${groupSet.prefix ? ' (group)' : ' (global)'}\n\n${Func.example(isPrefix, command, '!')}`, m)
+            if (args[0].toLowerCase() == 'reset') {
+               if (!groupSet.prefix) return client.reply(m.chat, Func.texted('bold', `🚩 This group already uses the global prefix.`), m)
+               groupSet.prefix = ''
+               groupSet.noprefix = false
+               return client.reply(m.chat, Func.texted('bold', `🚩 Group prefix removed, this group uses the global prefix again.`), m)
+            }
+            if (args[0].length > 3) return client.reply(m.chat, Func.texted('bold', `🚩 Prefix can only be up to 3 characters.`), m)
+            if (/[a-z0-9]/i.test(args[0])) return client.reply(m.chat, Func.texted('bold', `🚩 Prefix must be a symbol.`), m)
+            if (env.evaluate_chars.includes(args[0])) return client.reply(m.chat, Func.texted('bold', `🚩 Cannot use prefix ${args[0]} because an error will occur.`), m)
+            if (args[0] == groupSet.prefix) return client.reply(m.chat, Func.texted('bold', `🚩 Prefix ${args[0]} is currently used`), m)
+            groupSet.prefix = args[0]
+            client.reply(m.chat, Func.texted('bold', `🚩 Group prefix successfully changed to : ${args[0]}`), m)
+         } else if (command == 'gnoprefix') {
+            if (!args || !args[0]) return client.reply(m.chat, `🚩 *Current status* : [ ${groupSet.noprefix ? 'ON' : 'OFF'} ] (Enter *On* or *Off*)`, m)
+            let option = args[0].toLowerCase()
+            if (!['on', 'off'].includes(option)) return client.reply(m.chat, `🚩 *Current status* : [ ${groupSet.noprefix ? 'ON' : 'OFF'} ] (Enter *On* or *Off*)`, m)
+            let status = option == 'on'
+            if (groupSet.noprefix == status) return client.reply(m.chat, Func.texted('bold', `🚩 Noprefix has been ${status ? 'activated' : 'inactivated'} previously.`), m)
+            groupSet.noprefix = status
+            client.reply(m.chat, Func.texted('bold', `🚩 Noprefix has been ${status ? 'activated' : 'inactivated'} successfully.`), m)
+         }
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   admin: true,
+   group: true,
+   cache: true,
+   location: __filename
+}
@@ -11,7 +11,7 @@ exports.run = {
       Func
    }) => {
       try {
-         let setting = global.db.groups.find(v => v.jid == m.chat)
+         let setting = global.repo.groups.get(m.chat)
          let type = command.toLowerCase()
          if (!isBotAdmin && /antilink|antivirtex|filter|localonly|antitagsw/.test(type)) return client.reply(m.chat, global.status.botAdmin, m)
          if (!args || !args[0]) return client.reply(m.chat, `🚩 *Current status* : [ ${setting[type] ? 'ON' : 'OFF'} ] (Enter *On* or *Off*)`, m)
@@ -23,10 +23,11 @@ exports.run = {
          setting[type] = status
          client.reply(m.chat, Func.texted('bold', `🚩 ${Func.ucword(command)} has been ${option == 'on' ? 'activated' : 'inactivated'} successfully.`), m)
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    admin: true,
+   roles: ['moderator'],
    group: true,
    cache: true,
    location: __filename
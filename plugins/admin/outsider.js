@@ -25,7 +25,7 @@ exports.run = {
             await client.reply(m.chat, Func.texted('bold', `🚩 Done, ${member.length} outsiders successfully removed.`), m)
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    admin: true,
@@ -0,0 +1,62 @@
+const Roles = require('../../lib/system/roles')
+const roles = new Roles
+
+exports.run = {
+   usage: ['role'],
+   use: 'add / remove / list',
+   category: 'admin tools',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      groupSet,
+      isOwner,
+      isAdmin,
+      Func
+   }) => {
+      try {
+         const action = (args[0] || '').toLowerCase()
+         const isGlobal = args.map(v => v.toLowerCase()).includes('global') || !m.isGroup
+         if (isGlobal && !isOwner) return client.reply(m.chat, global.status.owner, m)
+         if (!isGlobal && !isAdmin && !isOwner) return client.reply(m.chat, global.status.admin, m)
+         const scope = isGlobal ? null : groupSet
+         if (action == 'list') {
+            const holders = roles.list(scope)
+            if (holders.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No ${isGlobal ? 'global' : 'group'} roles assigned.`), m)
+            let teks = `乂  *R O L E S*\n\n`
+            teks += holders.map(([jid, list]) => `	◦  @${jid.replace(/@.+/, '')} : ${list.join(', ')}`).join('\n')
+            teks += `\n\n${global.footer}`
+            return client.reply(m.chat, teks, m)
+         }
+         if (!['add', 'remove'].includes(action)) {
+            let teks = `• *Example* :\n\n`
+            teks += `${isPrefix + command} add moderator @0\n`
+            teks += `${isPrefix + command} remove moderator @0\n`
+            teks += `${isPrefix + command} add helper global (reply chat target)\n`
+            teks += `${isPrefix + command} list`
+            return client.reply(m.chat, teks, m)
+         }
+         const role = roles.normalize(args[1])
+         if (!role || role == 'global') return client.reply(m.chat, Func.texted('bold', `🚩 Role name must be 2-20 characters of letters, numbers, _ or -.`), m)
+         const input = m?.mentionedJid?.[0] || m?.quoted?.sender || args.slice(2).find(v => /^\+?\d{5,}$/.test(v))
+         if (!input) return client.reply(m.chat, Func.texted('bold', `🚩 Mention or reply chat target.`), m)
+         const p = await client.onWhatsApp(input.trim())
+         if (!p.length) return client.reply(m.chat, Func.texted('bold', `🚩 Invalid number.`), m)
+         const jid = client.decodeJid(p[0].jid)
+         const number = jid.replace(/@.+/, '')
+         if (action == 'add') {
+            if (!roles.add(jid, role, scope)) return client.reply(m.chat, Func.texted('bold', `🚩 @${number} already has ${role} role.`), m)
+            client.reply(m.chat, Func.texted('bold', `🚩 Successfully added ${role} role to @${number}${isGlobal ? ' (global)' : ''}.`), m)
+         } else if (action == 'remove') {
+            if (!roles.remove(jid, role, scope)) return client.reply(m.chat, Func.texted('bold', `🚩 @${number} doesn't have ${role} role.`), m)
+            client.reply(m.chat, Func.texted('bold', `🚩 Successfully removed ${role} role from @${number}${isGlobal ? ' (global)' : ''}.`), m)
+         }
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   cache: true,
+   location: __filename
+}
@@ -0,0 +1,100 @@
+const moment = require('moment-timezone')
+const mime = require('mime-types')
+const scheduler = new (require('../../lib/system/scheduler'))
+const announcement = new (require('../../lib/system/announcement'))
+
+exports.run = {
+   usage: ['schedule'],
+   use: 'add / list / pause / resume / del',
+   category: 'admin tools',
+   async: async (m, {
+      client,
+      args,
+      text,
+      isPrefix,
+      command,
+      groupSet,
+      Func
+   }) => {
+      try {
+         const action = (args[0] || '').toLowerCase()
+         const list = announcement.store(groupSet)
+         if (action == 'add') {
+            const input = (text || '').replace(/^\s*\S+\s*/, '')
+            const [when, ...message] = input.split('|')
+            const q = m.quoted ? m.quoted : null
+            const type = q ? (q.msg || q).mimetype || '' : ''
+            const caption = message.join('|').trim()
+            if (!when.trim() || (!caption && !/image|video|audio|application/.test(type))) return client.reply(m.chat, help(isPrefix, command), m)
+            const resolved = scheduler.resolve(when)
+            if (!resolved) return client.reply(m.chat, Func.texted('bold', `🚩 Invalid or passed time : ${when.trim()}`), m)
+            if (resolved.schedule && announcement.frequent(resolved.schedule)) return client.reply(m.chat, Func.texted('bold', `🚩 Recurring announcements must be at least ${announcement.gap / 60_000} minutes apart.`), m)
+            if (list.length >= announcement.max) return client.reply(m.chat, Func.texted('bold', `🚩 This group already has ${announcement.max} scheduled announcements, delete one first.`), m)
+            let media = null
+            if (/image|video|audio|application/.test(type)) {
+               const buffer = await q.download()
+               if (!buffer) return client.reply(m.chat, global.status.wrong, m)
+               if (buffer.length > 2 * 1024 * 1024) return client.reply(m.chat, Func.texted('bold', `🚩 Media for announcement can't be larger than 2 MB.`), m)
+               media = {
+                  mimetype: type,
+                  filename: (q.msg || q).fileName || 'file.' + (mime.extension(type) || 'bin'),
+                  buffer
+               }
+            }
+            const item = announcement.add(groupSet, {
+               when: resolved,
+               text: caption,
+               media,
+               creator: m.sender
+            })
+            return client.reply(m.chat, Func.texted('bold', `🚩 Announcement ${item.id} scheduled, next delivery at ${moment(announcement.next(item)).format('DD/MM/YY HH:mm')}.`), m)
+         }
+         if (action == 'list') {
+            if (list.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No announcements scheduled in this group.`), m)
+            let teks = `乂  *S C H E D U L E*\n\n`
+            teks += list.map(v => `   ┌ *ID* : ${v.id} ${v.paused ? '(paused)' : ''}\n   │ *When* : ${v.schedule || moment(v.at).format('DD/MM/YY HH:mm') + ' (once)'}\n   │ *Next* : ${v.paused ? '-' : moment(announcement.next(v)).format('DD/MM/YY HH:mm')}\n   │ *Media* : ${v.media ? v.media.mimetype : '-'}\n   └ *Text* : ${v.text ? v.text.slice(0, 60) : '-'}${v.error ? `\n   ⚠️ ${v.error}` : ''}`).join('\n\n')
+            teks += `\n\n${global.footer}`
+            return client.reply(m.chat, teks, m)
+         }
+         if (['pause', 'resume', 'del'].includes(action)) {
+            if (!args[1]) return client.reply(m.chat, Func.example(isPrefix, command, `${action} A1B2`), m)
+            const item = announcement.get(groupSet, args[1])
+            if (!item) return client.reply(m.chat, Func.texted('bold', `🚩 Announcement ${args[1]} not found.`), m)
+            if (action == 'del') {
+               announcement.remove(groupSet, item.id)
+               return client.reply(m.chat, Func.texted('bold', `🚩 Announcement ${item.id} successfully deleted.`), m)
+            }
+            item.paused = action == 'pause'
+            // resuming doesn't deliver the runs missed while paused, a failed one-off is tried again
+            if (!item.paused) {
+               item.lastRun = Date.now()
+               item.nextRun = item.at ? null : announcement.next(item)
+               item.failed = 0
+            }
+            return client.reply(m.chat, Func.texted('bold', `🚩 Announcement ${item.id} successfully ${item.paused ? 'paused' : 'resumed'}.`), m)
+         }
+         client.reply(m.chat, help(isPrefix, command), m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   admin: true,
+   group: true,
+   cache: true,
+   location: __filename
+}
+
+const help = (prefix, command) => {
+   return `• *Example* :
+
+${prefix + command} add daily 20:00 | Don't forget to read the rules.
+${prefix + command} add monday 08:00 | (reply media)
+${prefix + command} add every 2h | Stay hydrated!
+${prefix + command} add 0 9 * * 1-5 | Good morning.
+${prefix + command} add tomorrow 10:00 | Meeting today.
+${prefix + command} list
+${prefix + command} pause / resume / del id
+
+*When* : cron expression, every <duration>, daily / <weekday> HH:mm for recurring, or a duration (30m), HH:mm, tomorrow HH:mm and YYYY-MM-DD HH:mm for once.`
+}
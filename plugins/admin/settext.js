@@ -10,7 +10,7 @@ exports.run = {
       command,
       Func
    }) => {
-      let setup = global.db.groups.find(v => v.jid == m.chat)
+      let setup = global.repo.groups.get(m.chat)
       if (command == 'setwelcome') {
          if (!text) return client.reply(m.chat, formatWel(isPrefix, command), m)
          setup.text_welcome = text
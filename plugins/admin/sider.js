@@ -16,7 +16,7 @@ exports.run = {
          const day = 86400000 * 7
          const now = new Date() * 1
          let sider1 = [], sider2 = []
-         const group = global.db.groups.find(x => x.jid === m.chat)
+         const group = global.repo.groups.get(m.chat)
          member.filter(v => group.member[v]).map(v => sider1.push({
             jid: v,
             ...group.member[v]
@@ -44,7 +44,7 @@ exports.run = {
             client.reply(m.chat, teks, m)
          }
       } catch (e){
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
@@ -154,7 +154,7 @@ exports.run = {
                break
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
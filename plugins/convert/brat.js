@@ -23,7 +23,7 @@ exports.run = {
             author: exif.sk_author
          })
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
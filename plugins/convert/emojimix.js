@@ -26,7 +26,7 @@ exports.run = {
             categories: [emo1, emo2]
          })
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
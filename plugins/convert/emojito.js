@@ -25,7 +25,7 @@ exports.run = {
             categories: [args[0]]
          })
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -31,7 +31,7 @@ exports.run = {
                "avatar": true,
                "from": {
                   "id": 1,
-                  "name": m.quoted ? global.db.users.find(v => v.jid == m.quoted.sender).name : m.pushName,
+                  "name": m.quoted ? global.repo.users.get(m.quoted.sender).name : m.pushName,
                   "photo": {
                      "url": pic
                   }
@@ -2,16 +2,25 @@ exports.run = {
    usage: ['swm'],
    use: 'packname | author',
    category: 'converter',
+   separator: '|',
+   params: [{
+      name: 'packname',
+      type: 'string',
+      default: ''
+   }, {
+      name: 'author',
+      type: 'text',
+      default: ''
+   }],
    async: async (m, {
       client,
-      text,
+      params,
       isPrefix,
       command,
       Func
    }) => {
       try {
-         let [packname, ...author] = text.split`|`
-         author = (author || []).join`|`
+         let { packname, author } = params
          if (m.quoted ? m.quoted.message : m.msg.viewOnce) {
             let type = m.quoted ? Object.keys(m.quoted.message)[0] : m.mtype
             let q = m.quoted ? m.quoted.message[type] : m.msg
@@ -50,7 +59,7 @@ exports.run = {
          }
       } catch (e) {
          console.log(e)
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -11,7 +11,7 @@ exports.run = {
             disappear: 1234
           })
        } catch (e) {
-          client.reply(m.chat, Func.jsonFormat(e), m)
+          client.reportError(m, e)
        }
     },
     error: false,
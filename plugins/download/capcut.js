@@ -20,7 +20,7 @@ exports.run = {
          client.sendFile(m.chat, json.data.url, '', json.data.caption, m)
       } catch (e) {
          console.log(e)
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -26,7 +26,7 @@ exports.run = {
          client.sendFile(m.chat, json.data.url, '', '', m)
       } catch (e) {
          console.log(e)
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
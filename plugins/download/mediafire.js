@@ -39,7 +39,7 @@ exports.run = {
          })
       } catch (e) {
          console.log(e)
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
@@ -39,11 +39,13 @@ exports.run = {
             })
          })
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
    restrict: true,
+   cooldown: 30,
+   burst: 2,
    cache: true,
    location: __filename
 }
\ No newline at end of file
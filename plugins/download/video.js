@@ -36,11 +36,13 @@ exports.run = {
          })
          client.sendFile(m.chat, json.data.url, json.data.filename, caption, m)
       } catch (e) {
-         client.reply(m.chat, FuncjsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
    restrict: true,
+   cooldown: 30,
+   burst: 2,
    cache: true,
    location: __filename
 }
\ No newline at end of file
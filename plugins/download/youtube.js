@@ -84,11 +84,13 @@ exports.run = {
             client.sendFile(m.chat, json.data.url, json.data.filename, caption, m)
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
    limit: true,
+   cooldown: 30,
+   burst: 2,
    cache: true,
    location: __filename
 }
\ No newline at end of file
@@ -113,11 +113,12 @@ exports.run = {
             }
          }, 60_000)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
    limit: true,
+   cooldown: 120,
    cache: true,
    location: __filename
 }
\ No newline at end of file
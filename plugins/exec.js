@@ -42,6 +42,7 @@ exports.run = {
       }
    },
    error: false,
+   bypassBan: true,
    cache: true,
    location: __filename
 }
\ No newline at end of file
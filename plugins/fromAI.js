@@ -9,7 +9,7 @@ exports.run = {
          // only work in private chat
          client.sendFromAI(m.chat, 'Hi!', m)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
@@ -8,10 +8,10 @@ exports.run = {
       Func
    }) => {
       try {
-         let user = global.db.users.find(v => v.jid == m.sender)
+         let user = global.repo.users.get(m.sender)
          user.afk = +new Date
          user.afkReason = text
-         user.afkObj = m
+         user.afkObj = { key: m.key, message: m.message }
          let tag = m.sender.split`@` [0]
          return client.reply(m.chat, Func.texted('bold', `🚩 @${tag} is now AFK!`), m)
       } catch {
@@ -10,7 +10,7 @@ exports.run = {
       Func
    }) => {
       try {
-         let setting = global.db.groups.find(v => v.jid == m.chat)
+         let setting = global.repo.groups.get(m.chat)
          var pic = await Func.fetchBuffer('./media/image/default.jpg')
          let meta = await (await client.groupMetadata(m.chat))
          let admin = await client.groupAdmin(m.chat)
@@ -43,10 +43,11 @@ exports.run = {
             thumbnail: pic ? await Func.fetchBuffer(pic) : await Func.fetchBuffer('./media/image/default.jpg')
          })
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    group: true,
+   bypassMute: true,
    cache: true,
    location: __filename
 }
\ No newline at end of file
@@ -52,7 +52,7 @@ exports.run = {
             } else client.reply(m.chat, Func.texted('bold', `Stress ??`), m)
          } else client.reply(m.chat, Func.texted('bold', `Stress ??`), m)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
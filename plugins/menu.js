@@ -11,17 +11,21 @@ exports.run = {
       command,
       setting,
       users,
+      groupSet,
       plugins,
       env,
       Func
    }) => {
       try {
          client.menu = client.menu ? client.menu : {}
+         if (!isPrefix && m.isGroup && groupSet && groupSet.prefix) isPrefix = groupSet.prefix
          const id = m.chat
-         const local_size = fs.existsSync('./' + env.database + '.json') ? await Func.getSize(fs.statSync('./' + env.database + '.json').size) : ''
+         const local_file = './' + env.database + (env.storage === 'sqlite' ? '.db' : '.json')
+         const local_size = fs.existsSync(local_file) ? await Func.getSize(fs.statSync(local_file).size) : ''
          const library = JSON.parse(require('fs').readFileSync('./package.json', 'utf-8'))
-         const message = setting.msg.replace('+tag', `@${m.sender.replace(/@.+/g, '')}`).replace('+name', m.pushName).replace('+greeting', Func.greeting()).replace('+db', (process.env.DATABASE_URL ? /mongo/.test(process.env.DATABASE_URL) ? 'Mongo' : /postgre/.test(process.env.DATABASE_URL) ? 'Postgres' : 'N/A' : `Local (${local_size})`)).replace('+module', Version).replace('+version', (library.dependencies.bails ? library.dependencies.bails : library.dependencies['@adiwajshing/baileys'] ? '@adiwajshing/baileys' : library.dependencies.baileys).replace('^', '').replace('~', ''))
+         const message = setting.msg.replace('+tag', `@${m.sender.replace(/@.+/g, '')}`).replace('+name', m.pushName).replace('+greeting', Func.greeting()).replace('+db', (process.env.DATABASE_URL ? /mongo/.test(process.env.DATABASE_URL) ? 'Mongo' : /postgre/.test(process.env.DATABASE_URL) ? 'Postgres' : 'N/A' : `${env.storage === 'sqlite' ? 'SQLite' : 'Local'} (${local_size})`)).replace('+module', Version).replace('+version', (library.dependencies.bails ? library.dependencies.bails : library.dependencies['@adiwajshing/baileys'] ? '@adiwajshing/baileys' : library.dependencies.baileys).replace('^', '').replace('~', ''))
          const style = setting.style
+         const aliases = Object.entries(setting.aliases || {}).sort((a, b) => a[0].localeCompare(b[0]))
          if (style === 1) {
             let filter = Object.entries(plugins).filter(([_, obj]) => obj.run.usage)
             let cmd = Object.fromEntries(filter)
@@ -62,6 +66,7 @@ exports.run = {
                })
                print += commands.sort((a, b) => a.usage.localeCompare(b.usage)).map(v => `	◦  ${isPrefix + v.usage} ${v.use}`).join('\n')
             }
+            if (aliases.length > 0) print += '\n\n乂  *A L I A S E S*\n\n' + aliases.map(([k, v]) => `	◦  ${isPrefix + k} ➠ ${isPrefix + v}`).join('\n')
             client.sendMessageModify(m.chat, Func.Styles(print) + '\n\n' + global.footer, m, {
                ads: false,
                largeThumb: true,
@@ -116,6 +121,7 @@ exports.run = {
                   }
                }).join('\n')
             }
+            if (aliases.length > 0) print += '\n\n乂  *A L I A S E S*\n\n' + aliases.map(([k, v]) => `	◦  ${isPrefix + k} ➠ ${isPrefix + v}`).join('\n')
             client.sendMessageModify(m.chat, Func.Styles(print) + '\n\n' + global.footer, m, {
                ads: false,
                largeThumb: true,
@@ -170,6 +176,7 @@ exports.run = {
                   }
                }).join('\n')
             }
+            if (aliases.length > 0) print += '\n\n乂  *A L I A S E S*\n\n' + aliases.map(([k, v]) => `	◦  ${isPrefix + k} ➠ ${isPrefix + v}`).join('\n')
             client.sendMessageModify(m.chat, print + '\n\n' + global.footer, m, {
                ads: false,
                largeThumb: true,
@@ -206,6 +213,8 @@ exports.run = {
                      return `│  ◦  ${isPrefix + v.usage} ${v.use}`
                   }
                }).join('\n')
+               const alias = aliases.filter(([_, v]) => commands.some(x => x.usage == v))
+               if (alias.length > 0) print += '\n\n' + alias.map(([k, v]) => `➠  ${isPrefix + k} (alias of ${isPrefix + v})`).join('\n')
                m.reply(print)
             } else {
                let print = message
@@ -270,6 +279,8 @@ exports.run = {
                      return `│  ◦  ${isPrefix + v.usage} ${v.use}`
                   }
                }).join('\n')
+               const alias = aliases.filter(([_, v]) => commands.some(x => x.usage == v))
+               if (alias.length > 0) print += '\n\n' + alias.map(([k, v]) => `➠  ${isPrefix + k} (alias of ${isPrefix + v})`).join('\n')
                m.reply(Func.Styles(print))
             } else {
                let print = message
@@ -316,7 +327,7 @@ exports.run = {
             }
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
@@ -17,6 +17,7 @@ exports.run = {
       })
    },
    error: false,
+   bypassBan: true,
    cache: true,
    location: __filename
 }
\ No newline at end of file
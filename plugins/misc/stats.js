@@ -0,0 +1,88 @@
+const moment = require('moment-timezone')
+const analytics = new (require('../../lib/system/analytics'))
+
+exports.run = {
+   usage: ['stats'],
+   use: 'group / user / command / export',
+   category: 'miscs',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      isOwner,
+      env,
+      Func
+   }) => {
+      try {
+         const type = (args[0] || '').toLowerCase()
+         const block = (entry, title) => {
+            const sum = analytics.summary(entry)
+            let teks = `乂  *S T A T S*\n\n`
+            teks += `	◦  *${title}*\n`
+            teks += `	◦  *This Hour* : ${Func.formatNumber(sum.hour)}\n`
+            teks += `	◦  *Today* : ${Func.formatNumber(sum.day)}\n`
+            teks += `	◦  *This Week* : ${Func.formatNumber(sum.week)}\n`
+            teks += `	◦  *Total* : ${Func.formatNumber(sum.total)}\n`
+            teks += `	◦  *Last Hit* : ${entry.last ? moment(entry.last).format('DD/MM/YY HH:mm') : '-'}\n\n`
+            teks += `*24 Hours* : ${Func.texted('monospace', analytics.spark(analytics.series(entry, 'hour', 24)))}\n`
+            teks += `*7 Days* : ${Func.texted('monospace', analytics.spark(analytics.series(entry, 'day', 7)))} (${analytics.series(entry, 'day', 7).join(', ')})\n`
+            teks += `*8 Weeks* : ${Func.texted('monospace', analytics.spark(analytics.series(entry, 'week', 8)))}`
+            return teks
+         }
+         if (type == 'group') {
+            if (!m.isGroup) return client.reply(m.chat, global.status.group, m)
+            const entry = analytics.get('groups', m.chat)
+            if (!entry) return client.reply(m.chat, Func.texted('bold', `🚩 No command used in this group yet.`), m)
+            let teks = block(entry, 'Group')
+            teks += `\n\n*Top Commands* :\n${analytics.top(entry.commands).map(([k, v], i) => `${i + 1}. ${isPrefix + k} (${Func.formatNumber(v)}x)`).join('\n')}`
+            teks += `\n\n*Top Members* :\n${analytics.top(entry.users).map(([k, v], i) => `${i + 1}. @${k.replace(/@.+/, '')} (${Func.formatNumber(v)}x)`).join('\n')}`
+            return client.reply(m.chat, teks + `\n\n${global.footer}`, m)
+         }
+         if (type == 'user') {
+            const jid = m?.mentionedJid?.[0] || m?.quoted?.sender || m.sender
+            const entry = analytics.get('users', jid)
+            if (!entry) return client.reply(m.chat, Func.texted('bold', `🚩 @${jid.replace(/@.+/, '')} hasn't used any command yet.`), m)
+            let teks = block(entry, `User : @${jid.replace(/@.+/, '')}`)
+            teks += `\n\n*Top Commands* :\n${analytics.top(entry.commands).map(([k, v], i) => `${i + 1}. ${isPrefix + k} (${Func.formatNumber(v)}x)`).join('\n')}`
+            return client.reply(m.chat, teks + `\n\n${global.footer}`, m)
+         }
+         if (type == 'command') {
+            if (!args[1]) return client.reply(m.chat, Func.example(isPrefix, command, 'command sticker'), m)
+            const name = args[1].toLowerCase().replace(isPrefix, '')
+            const entry = analytics.get('commands', name)
+            if (!entry) return client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + name} hasn't been used yet.`), m)
+            let teks = block(entry, `Command : ${isPrefix + name}`)
+            teks += `\n\n*Groups Using* : ${Func.formatNumber(Object.keys(entry.groups || {}).length)}`
+            return client.reply(m.chat, teks + `\n\n${global.footer}`, m)
+         }
+         if (type == 'export') {
+            if (!isOwner) return client.reply(m.chat, global.status.owner, m)
+            const format = (args[1] || 'csv').toLowerCase() == 'json' ? 'json' : 'csv'
+            const filename = `analytics-${moment().format('YYYYMMDD-HHmm')}.${format}`
+            await client.sendFile(env.owner + '@s.whatsapp.net', Buffer.from(analytics.export(format)), filename, '', null)
+            if (m.chat != env.owner + '@s.whatsapp.net') client.reply(m.chat, Func.texted('bold', `🚩 Analytics exported as ${filename} and sent to the owner.`), m)
+            return
+         }
+         const data = analytics.store()
+         const commands = Object.entries(data.commands)
+         if (commands.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No command used.`), m)
+         const week = analytics.key('week')
+         let teks = `乂  *S T A T S*\n\n`
+         teks += `	◦  *Commands* : ${Func.formatNumber(commands.length)}\n`
+         teks += `	◦  *Groups* : ${Func.formatNumber(Object.keys(data.groups).length)}\n`
+         teks += `	◦  *Users* : ${Func.formatNumber(Object.keys(data.users).length)}\n\n`
+         teks += `*Top This Week* :\n${commands.map(([k, v]) => [k, (v.week || {})[week] || 0]).filter(v => v[1]).sort((a, b) => b[1] - a[1]).slice(0, 10).map(([k, v], i) => `${i + 1}. ${isPrefix + k} (${Func.formatNumber(v)}x)`).join('\n') || '-'}\n\n`
+         teks += `${isPrefix + command} group\n`
+         teks += `${isPrefix + command} user @0\n`
+         teks += `${isPrefix + command} command sticker\n`
+         teks += `${isPrefix + command} export csv / json (owner)`
+         client.reply(m.chat, teks, m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   cache: true,
+   location: __filename
+}
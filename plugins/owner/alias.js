@@ -0,0 +1,62 @@
+exports.run = {
+   usage: ['alias'],
+   use: 'add / del / list',
+   category: 'owner',
+   params: [{
+      name: 'action',
+      type: 'enum',
+      values: ['add', 'del', 'list']
+   }, {
+      name: 'alias',
+      type: 'string',
+      optional: true
+   }, {
+      name: 'command',
+      type: 'string',
+      optional: true
+   }],
+   example: 'add dl tiktok',
+   async: async (m, {
+      client,
+      isPrefix,
+      params,
+      setting,
+      ctx,
+      Func
+   }) => {
+      try {
+         if (!setting.aliases) setting.aliases = {}
+         const aliases = setting.aliases
+         const alias = (params.alias || '').toLowerCase()
+         if (params.action == 'list') {
+            const list = Object.entries(aliases)
+            if (list.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No aliases registered.`), m)
+            let teks = `乂  *A L I A S E S*\n\n`
+            teks += list.sort((a, b) => a[0].localeCompare(b[0])).map(([k, v]) => `	◦  ${isPrefix + k} ➠ ${isPrefix + v}`).join('\n')
+            teks += `\n\n${global.footer}`
+            return client.reply(m.chat, teks, m)
+         }
+         if (!alias) return client.reply(m.chat, Func.example(isPrefix, 'alias', params.action == 'add' ? 'add dl tiktok' : 'del dl'), m)
+         if (params.action == 'add') {
+            const target = (params.command || '').toLowerCase()
+            if (!target) return client.reply(m.chat, Func.example(isPrefix, 'alias', 'add dl tiktok'), m)
+            const commands = Func.arrayJoin(Object.values(ctx.plugins).filter(v => v.run.usage).map(v => [...[].concat(v.run.usage), ...(v.run.hidden ? [].concat(v.run.hidden) : [])]))
+            if (!commands.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} does not exist.`), m)
+            if (commands.includes(alias)) return client.reply(m.chat, Func.texted('bold', `🚩 ${isPrefix + alias} is already a command.`), m)
+            if (aliases[alias]) return client.reply(m.chat, Func.texted('bold', `🚩 Alias ${isPrefix + alias} already points to ${isPrefix + aliases[alias]}.`), m)
+            aliases[alias] = target
+            client.reply(m.chat, Func.texted('bold', `🚩 Alias ${isPrefix + alias} for ${isPrefix + target} successfully added.`), m)
+         } else if (params.action == 'del') {
+            if (!aliases[alias]) return client.reply(m.chat, Func.texted('bold', `🚩 Alias ${isPrefix + alias} does not exist.`), m)
+            delete aliases[alias]
+            client.reply(m.chat, Func.texted('bold', `🚩 Alias ${isPrefix + alias} successfully removed.`), m)
+         }
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   owner: true,
+   cache: true,
+   location: __filename
+}
@@ -1,21 +1,38 @@
-const fs = require('fs')
+const moment = require('moment-timezone')
 
 exports.run = {
    usage: ['backup'],
+   use: 'list (optional)',
    category: 'owner',
    async: async (m, {
       client,
+      args,
+      isPrefix,
+      command,
       env,
       database,
       Func
    }) => {
       try {
+         const backup = new (require('../../lib/system/backup'))({
+            name: env.database,
+            keep: env.backup?.keep,
+            password: process.env.BACKUP_PASSWORD
+         })
+         if ((args[0] || '').toLowerCase() == 'list') {
+            const files = backup.list()
+            if (files.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No backups stored yet.`), m)
+            let teks = `乂  *B A C K U P S*\n\n`
+            teks += files.map((v, i) => `	◦  *${i + 1}.* ${v.name} (${Func.formatSize(v.size)}, ${moment(v.time).format('DD/MM/YY HH:mm')})`).join('\n')
+            teks += `\n\nRestore one with *${isPrefix}restore 1* or reply to a backup file with *${isPrefix}restore*.`
+            return client.reply(m.chat, teks + `\n\n${global.footer}`, m)
+         }
          await client.sendReact(m.chat, '🕒', m.key)
          await database.save(global.db)
-         fs.writeFileSync(env.database + '.json', JSON.stringify(global.db), 'utf-8')
-         await client.sendFile(m.chat, fs.readFileSync('./' + env.database + '.json'), env.database + '.json', '', m)
+         const { file, buffer } = backup.write(global.db)
+         await client.sendFile(m.chat, buffer, require('path').basename(file), backup.password ? '' : Func.texted('bold', `🚩 BACKUP_PASSWORD is not set, this backup is only compressed.`), m)
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    owner: true,
@@ -33,7 +33,7 @@ exports.run = {
                   await telegramBridge.initialize();
                }
                
-               setting.telegramBridge = { enabled: true };
+               setting.telegramBridge = { ...(setting.telegramBridge || {}), enabled: true };
                client.reply(m.chat, '✅ Telegram bridge enabled', m);
                break;
 
@@ -43,7 +43,7 @@ exports.run = {
                   telegramBridge = null;
                }
                
-               setting.telegramBridge = { enabled: false };
+               setting.telegramBridge = { ...(setting.telegramBridge || {}), enabled: false };
                client.reply(m.chat, '❌ Telegram bridge disabled', m);
                break;
 
@@ -57,7 +57,7 @@ exports.run = {
                client.reply(m.chat, `❌ Invalid option. Use: on/off/status`, m);
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m);
+         client.reportError(m, e);
       }
    },
    owner: true,
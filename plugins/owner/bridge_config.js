@@ -70,7 +70,7 @@ exports.run = {
                client.reply(m.chat, '❌ Invalid key. Use: token, chatid, or logchannel', m);
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m);
+         client.reportError(m, e);
       }
    },
    owner: true,
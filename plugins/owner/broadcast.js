@@ -88,7 +88,7 @@ exports.run = {
 
          client.reply(m.chat, Func.texted('bold', `🚩 Use this command with text or by replying to an image, video or audio.`), m)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    owner: true
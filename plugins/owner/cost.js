@@ -0,0 +1,46 @@
+const economy = new (require('../../lib/system/economy'))
+
+exports.run = {
+   usage: ['cost'],
+   use: 'command amount / reset',
+   category: 'owner',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      ctx,
+      Func
+   }) => {
+      try {
+         const costs = economy.costs()
+         if (!args || !args[0]) {
+            const list = Object.entries(costs)
+            let teks = `乂  *C O S T S*\n\n`
+            teks += list.length > 0 ? list.sort((a, b) => a[0].localeCompare(b[0])).map(([k, v]) => `	◦  ${isPrefix + k} : ${v > 0 ? Func.formatNumber(v) + ' limit' : 'free'}`).join('\n') : `	◦  No overrides, commands use their plugin limit.`
+            teks += `\n\n${isPrefix + command} tiktok 3\n`
+            teks += `${isPrefix + command} tiktok 0 (free)\n`
+            teks += `${isPrefix + command} tiktok reset`
+            return client.reply(m.chat, teks, m)
+         }
+         const target = args[0].toLowerCase()
+         const commands = Func.arrayJoin(Object.values(ctx.plugins).filter(v => v.run.usage).map(v => [...[].concat(v.run.usage), ...(v.run.hidden ? [].concat(v.run.hidden) : [])]))
+         if (!commands.includes(target)) return client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} does not exist.`), m)
+         if ((args[1] || '').toLowerCase() == 'reset') {
+            if (!(target in costs)) return client.reply(m.chat, Func.texted('bold', `🚩 Command ${isPrefix + target} has no cost override.`), m)
+            delete costs[target]
+            return client.reply(m.chat, Func.texted('bold', `🚩 Cost of ${isPrefix + target} successfully reset.`), m)
+         }
+         const amount = Number(args[1])
+         if (!args[1] || !Number.isInteger(amount) || amount < 0) return client.reply(m.chat, Func.example(isPrefix, command, `${target} 3`), m)
+         costs[target] = amount
+         client.reply(m.chat, Func.texted('bold', amount > 0 ? `🚩 Command ${isPrefix + target} now costs ${Func.formatNumber(amount)} limit.` : `🚩 Command ${isPrefix + target} is now free.`), m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   owner: true,
+   cache: true,
+   location: __filename
+}
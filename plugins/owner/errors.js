@@ -0,0 +1,50 @@
+const moment = require('moment-timezone')
+const ErrorTracker = require('../../lib/system/errors')
+const errors = new ErrorTracker
+
+exports.run = {
+   usage: ['errors'],
+   use: 'id / clear (optional)',
+   category: 'owner',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      Func
+   }) => {
+      try {
+         const option = (args[0] || '').trim()
+         if (option.toLowerCase() == 'clear') {
+            const total = errors.clear()
+            return client.reply(m.chat, Func.texted('bold', `🚩 ${total} error logs successfully cleared.`), m)
+         }
+         if (option) {
+            const error = errors.get(option)
+            if (!error) return client.reply(m.chat, Func.texted('bold', `🚩 Error ${option} not found.`), m)
+            let teks = `乂  *E R R O R*\n\n`
+            teks += `	◦  *ID* : ${error.id}\n`
+            teks += `	◦  *Plugin* : ${error.plugin}\n`
+            teks += `	◦  *Command* : ${error.command}\n`
+            teks += `	◦  *Chat* : ${error.chat}\n`
+            teks += `	◦  *Sender* : ${error.sender}\n`
+            teks += `	◦  *Time* : ${moment(error.created).format('DD/MM/YY HH:mm:ss')}\n`
+            teks += `	◦  *Message* : ${error.message}\n\n`
+            teks += Func.texted('monospace', error.stack)
+            return client.reply(m.chat, teks, m)
+         }
+         const list = errors.list(10)
+         if (list.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No errors recorded.`), m)
+         let teks = `乂  *E R R O R S*\n\n`
+         teks += list.map(v => `   ┌ *ID* : ${v.id}\n   │ *Plugin* : ${v.plugin} (${v.command})\n   │ *Message* : ${v.message.slice(0, 80)}\n   └ *Time* : ${moment(v.created).format('DD/MM/YY HH:mm:ss')}`).join('\n\n')
+         teks += `\n\nSend *${isPrefix + command} id* to see the detail or *${isPrefix + command} clear* to remove all logs.`
+         client.reply(m.chat, teks, m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   owner: true,
+   cache: true,
+   location: __filename
+}
@@ -1,20 +1,25 @@
+const economy = new (require('../../lib/system/economy'))
+
 exports.run = {
    usage: ['reset'],
    category: 'owner',
    async: async (m, {
       client,
       args,
+      isPrefix,
       command,
       setting,
       env,
       Func
    }) => {
       try {
-         global.db.users.filter(v => v.limit < env.limit && !v.premium).map(v => v.limit = args[0] ? args[0] : env.limit)
+         const limit = args[0] ? Number(args[0]) : env.limit
+         if (!Number.isInteger(limit) || limit < 0) return client.reply(m.chat, Func.example(isPrefix, command, env.limit), m)
+         global.db.users.filter(v => v.limit < env.limit && !v.premium).map(v => economy.change(v, limit - v.limit, 'limit reset'))
          setting.lastReset = new Date * 1
          client.reply(m.chat, Func.texted('bold', `🚩 Successfully reset limit for user free to default.`), m)
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    owner: true,
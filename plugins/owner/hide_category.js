@@ -26,7 +26,7 @@ exports.run = {
             client.reply(m.chat, Func.texted('bold', `🚩 ${text} category has been removed from hidden list.`), m)
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    owner: true,
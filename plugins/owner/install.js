@@ -0,0 +1,57 @@
+const moment = require('moment-timezone')
+
+exports.run = {
+   usage: ['install', 'uninstall', 'installed'],
+   use: 'plugin name',
+   category: 'owner',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      ctx,
+      Func
+   }) => {
+      try {
+         const installer = new (require('../../lib/system/installer'))
+         const plugins = ctx && ctx.plugins ? ctx.plugins : {}
+         if (command == 'installed') {
+            const list = installer.list()
+            if (list.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No third-party plugins installed, reply to a .js file with ${isPrefix}install.`), m)
+            let teks = `乂  *I N S T A L L E D*\n\n`
+            teks += list.map(v => `   ┌ *Name* : ${v.name} ${v.state != 'ok' ? `(${v.state})` : ''}\n   │ *File* : ${v.file}\n   │ *Hash* : ${v.hash.slice(0, 16)}\n   │ *Size* : ${Func.formatSize(v.size)}\n   └ *Installed* : ${moment(v.installed).format('DD/MM/YY HH:mm')}${v.original ? ' (replaced an existing file)' : ''}`).join('\n\n')
+            return client.reply(m.chat, teks + `\n\n${global.footer}`, m)
+         }
+         if (command == 'uninstall') {
+            if (!args[0]) return client.reply(m.chat, Func.example(isPrefix, command, 'myplugin'), m)
+            const name = args[0].replace(/\.js$/, '')
+            const result = installer.uninstall(name, plugins)
+            if (!result.status) return client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${name}.js was not installed with ${isPrefix}install.`), m)
+            return client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${name}.js successfully uninstalled${result.restored ? ', the original file has been restored' : ''}.`), m)
+         }
+         if (!m.quoted || !/document/.test(m.quoted.mtype) || !/\.js$/i.test(m.quoted.fileName || '')) return client.reply(m.chat, Func.texted('bold', `🚩 Reply to a .js file with ${isPrefix + command} (optionally followed by the plugin name). The file is loaded to be checked, its code runs even if it is refused, only install plugins you trust.`), m)
+         const replace = args.includes('--replace')
+         const name = (args.find(v => !v.startsWith('--')) || m.quoted.fileName).replace(/\.js$/i, '')
+         await client.sendReact(m.chat, '🕒', m.key)
+         const source = await m.quoted.download()
+         if (!source) return client.reply(m.chat, Func.texted('bold', `🚩 File cannot be downloaded.`), m)
+         const result = installer.install(name, Buffer.from(source), plugins, { replace })
+         if (result.exists) return client.reply(m.chat, Func.texted('bold', `🚩 ${result.exists} already exists and was not installed with ${isPrefix + command}, reply again with ${isPrefix + command} ${name} --replace to overwrite it (the current file is backed up).`), m)
+         if (!result.status) return client.reply(m.chat, `乂  *I N S T A L L*\n\n${Func.texted('bold', `🚩 ${name}.js was not installed :`)}\n\n${result.errors.map(v => '✗ ' + v).join('\n')}`, m)
+         let teks = `乂  *I N S T A L L*\n\n`
+         teks += `	◦  *Plugin* : ${name}\n`
+         teks += `	◦  *File* : ${require('path').relative(process.cwd(), result.file)}\n`
+         teks += `	◦  *Hash* : ${result.hash.slice(0, 16)}\n`
+         teks += `	◦  *Backup* : ${result.backup || '-'}`
+         if (result.warnings.length) teks += `\n\n${result.warnings.map(v => '! ' + v).join('\n')}`
+         teks += `\n\n_The plugin code has been run to check it, only install plugins you trust._`
+         client.reply(m.chat, teks + `\n\n${global.footer}`, m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   owner: true,
+   cache: true,
+   location: __filename
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+const moment = require('moment-timezone')
+
+exports.run = {
+   usage: ['jobs'],
+   use: 'pause / resume / run name',
+   category: 'owner',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      Func
+   }) => {
+      try {
+         const scheduler = global.scheduler
+         if (!scheduler) return client.reply(m.chat, Func.texted('bold', `🚩 Scheduler is not running yet.`), m)
+         const [action, name] = [(args[0] || '').toLowerCase(), (args[1] || '').toLowerCase()]
+         if (!action) {
+            const jobs = scheduler.list()
+            if (jobs.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No jobs registered.`), m)
+            let teks = `乂  *J O B S*\n\n`
+            teks += jobs.map(v => `   ┌ *Name* : ${v.name} ${v.paused ? '(paused)' : v.running ? '(running)' : ''}\n   │ *Schedule* : ${v.schedule}\n   │ *Description* : ${v.description || '-'}\n   │ *Last Run* : ${v.lastRun ? moment(v.lastRun).format('DD/MM/YY HH:mm') : '-'} (${v.runs}x)\n   │ *Next Run* : ${v.paused || !v.nextRun ? '-' : moment(v.nextRun).format('DD/MM/YY HH:mm')}\n   └ *Error* : ${v.error || '-'}`).join('\n\n')
+            teks += `\n\n${isPrefix + command} pause limit\n`
+            teks += `${isPrefix + command} resume limit\n`
+            teks += `${isPrefix + command} run backup`
+            return client.reply(m.chat, teks, m)
+         }
+         if (!['pause', 'resume', 'run'].includes(action) || !name) return client.reply(m.chat, Func.example(isPrefix, command, 'run backup'), m)
+         if (!scheduler.jobs.has(name)) return client.reply(m.chat, Func.texted('bold', `🚩 Job ${name} not found.`), m)
+         if (action == 'pause') {
+            scheduler.pause(name, true)
+            client.reply(m.chat, Func.texted('bold', `🚩 Job ${name} successfully paused.`), m)
+         } else if (action == 'resume') {
+            scheduler.pause(name, false)
+            client.reply(m.chat, Func.texted('bold', `🚩 Job ${name} successfully resumed.`), m)
+         } else if (action == 'run') {
+            await client.sendReact(m.chat, '🕒', m.key)
+            if (!await scheduler.run(name)) return client.reply(m.chat, Func.texted('bold', `🚩 Job ${name} is still running.`), m)
+            const job = scheduler.list().find(v => v.name == name)
+            client.reply(m.chat, Func.texted('bold', job.error ? `🚩 Job ${name} failed, reference : ${job.error}` : `🚩 Job ${name} successfully executed.`), m)
+         }
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   owner: true,
+   cache: true,
+   location: __filename
+}
@@ -1,3 +1,5 @@
+const economy = new (require('../../lib/system/economy'))
+
 exports.run = {
    usage: ['+owner', '-owner', '-prem', 'block', 'unblock', 'ban', 'unban'],
    use: 'mention or reply',
@@ -29,10 +31,10 @@ exports.run = {
             })
             client.reply(m.chat, Func.texted('bold', `🚩 Successfully removing @${number} from owner list.`), m)
          } else if (command == '-prem') { // remove premium
-            let data = global.db.users.find(v => v.jid == jid)
+            let data = global.repo.users.get(jid)
             if (typeof data == 'undefined') return client.reply(m.chat, Func.texted('bold', `🚩 Can't find user data.`), m)
             if (!data.premium) return client.reply(m.chat, Func.texted('bold', `🚩 Not a premium account.`), m)
-            data.limit = env.limit
+            economy.change(data, env.limit - data.limit, 'premium removed')
             data.premium = false
             data.expired = 0
             client.reply(m.chat, Func.texted('bold', `🚩 @${jid.replace(/@.+/, '')}'s premium status has been successfully deleted.`), m)
@@ -42,25 +44,25 @@ exports.run = {
          } else if (command == 'unblock') { // unblock user
             client.updateBlockStatus(jid, 'unblock').then(res => m.reply(Func.jsonFormat(res)))
          } else if (command == 'ban') { // banned user
-            let is_user = global.db.users
+            let is_user = global.repo.users.get(jid)
             let is_owner = [client.decodeJid(client.user.id).split`@`[0], env.owner, ...global.db.setting.owners].map(v => v.replace(/[^0-9]/g, '') + '@s.whatsapp.net').includes(jid)
-            if (!is_user.some(v => v.jid == jid)) return client.reply(m.chat, Func.texted('bold', `🚩 User data not found.`), m)
+            if (!is_user) return client.reply(m.chat, Func.texted('bold', `🚩 User data not found.`), m)
             if (is_owner) return client.reply(m.chat, Func.texted('bold', `🚩 Can't banned owner number.`), m)
             if (jid == client.decodeJid(client.user.id)) return client.reply(m.chat, Func.texted('bold', `🚩 ??`), m)
-            if (is_user.find(v => v.jid == jid).banned) return client.reply(m.chat, Func.texted('bold', `🚩 Target already banned.`), m)
-            is_user.find(v => v.jid == jid).banned = true
-            let banned = is_user.filter(v => v.banned).length
+            if (is_user.banned) return client.reply(m.chat, Func.texted('bold', `🚩 Target already banned.`), m)
+            is_user.banned = true
+            let banned = global.repo.users.filter(v => v.banned).length
             client.reply(m.chat, `乂  *B A N N E D*\n\n*“Successfully added @${jid.split`@`[0]} into banned list.”*\n\n*Total : ${banned}*`, m)
          } else if (command == 'unban') { // unbanned user
-            let is_user = global.db.users
-            if (!is_user.some(v => v.jid == jid)) return client.reply(m.chat, Func.texted('bold', `🚩 User data not found.`), m)
-            if (!is_user.find(v => v.jid == jid).banned) return client.reply(m.chat, Func.texted('bold', `🚩 Target not banned.`), m)
-            is_user.find(v => v.jid == jid).banned = false
-            let banned = is_user.filter(v => v.banned).length
+            let is_user = global.repo.users.get(jid)
+            if (!is_user) return client.reply(m.chat, Func.texted('bold', `🚩 User data not found.`), m)
+            if (!is_user.banned) return client.reply(m.chat, Func.texted('bold', `🚩 Target not banned.`), m)
+            is_user.banned = false
+            let banned = global.repo.users.filter(v => v.banned).length
             client.reply(m.chat, `乂  *U N B A N N E D*\n\n*“Succesfully removing @${jid.split`@`[0]} from banned list.”*\n\n*Total : ${banned}*`, m)
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
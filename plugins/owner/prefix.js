@@ -14,7 +14,7 @@ exports.run = {
       if (command == 'prefix') {
          if (!args || !args[0]) return client.reply(m.chat, Func.example(isPrefix, command, '#'), m)
          // if (args[0].length > 1 && !Func.getEmoji(args[0])) return client.reply(m.chat, Func.texted('bold', `🚩 Enter only 1 prefix.`), m)
-         if (env.evaluate_chars.includes(args[0])) return client.reply(m.chat, Func.texted('bold', `🚩 Tidak bisa menggunakan prefix ${args[0]} karena akan terjadi error.`), m)
+         if (env.evaluate_chars.includes(args[0])) return client.reply(m.chat, Func.texted('bold', `🚩 Cannot use prefix ${args[0]} because an error will occur.`), m)
          if (args[0] == system.prefix) return client.reply(m.chat, Func.texted('bold', `🚩 Prefix ${args[0]} is currently used`), m)
          system.onlyprefix = args[0]
          client.reply(m.chat, Func.texted('bold', `🚩 Prefix successfully changed to : ${args[0]}`), m)
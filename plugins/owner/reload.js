@@ -0,0 +1,49 @@
+const path = require('path')
+
+exports.run = {
+   usage: ['reload', 'plugcheck'],
+   use: 'plugin name',
+   category: 'owner',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      ctx,
+      Func
+   }) => {
+      try {
+         const validator = new (require('../../lib/system/validator'))
+         if (command == 'plugcheck') {
+            const result = validator.scan()
+            const report = validator.report(result)
+            if (!report) return client.reply(m.chat, Func.texted('bold', `🚩 ${result.total} plugins checked, no issues found.`), m)
+            return client.reply(m.chat, `乂  *P L U G C H E C K*\n\n${report}\n\n${global.footer}`, m)
+         }
+         if (!args[0]) return client.reply(m.chat, Func.example(isPrefix, command, 'tiktok'), m)
+         const name = args[0].replace(/\.js$/, '')
+         const file = validator.files().find(v => path.basename(v, '.js') == name)
+         if (!file) return client.reply(m.chat, Func.texted('bold', `🚩 Plugin ${name}.js not found.`), m)
+         const reloader = new (require('../../lib/system/reloader'))
+         let result
+         try {
+            result = reloader.reload(file)
+         } catch (e) {
+            return client.reply(m.chat, Func.texted('bold', `🚩 Failed to reload ${name}.js, the previous version is kept : ${e.message}`), m)
+         }
+         // ctx.plugins is the loaded plugin list, commands receive a filtered copy
+         if (ctx && ctx.plugins) ctx.plugins[name] = result.module
+         const issues = validator.validate(name, result.module, file)
+         let teks = `乂  *R E L O A D*\n\n`
+         teks += result.files.map(v => `	◦  ${path.relative(process.cwd(), v)}`).join('\n')
+         if (issues.length) teks += `\n\n${issues.map(v => `${v.level === 'error' ? '✗' : '!'} ${v.message}`).join('\n')}`
+         client.reply(m.chat, teks + `\n\n${global.footer}`, m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   owner: true,
+   cache: true,
+   location: __filename
+}
\ No newline at end of file
@@ -1,28 +1,90 @@
-const fs = require('fs')
-
 exports.run = {
    usage: ['restore'],
+   use: 'number / sections / confirm / cancel',
    category: 'owner',
    async: async (m, {
       client,
+      args,
+      isPrefix,
+      command,
       env,
       database,
       Func
    }) => {
       try {
-         if (m.quoted && /document/.test(m.quoted.mtype) && /json/.test(m.quoted.fileName)) {
-            const fn = await Func.getFile(await m.quoted.download())
-            if (!fn.status) return m.reply(Func.texted('bold', '🚩 File cannot be downloaded.'))
-            global.db = JSON.parse(fs.readFileSync(fn.file, 'utf-8'))
-            m.reply('✅ Database was successfully restored.').then(async () => {
-               await database.save(JSON.parse(fs.readFileSync(fn.file, 'utf-8')))
-            })
-         } else m.reply(Func.texted('bold', '🚩 Reply to the backup file first then reply with this feature.'))
+         const backup = new (require('../../lib/system/backup'))({
+            name: env.database,
+            keep: env.backup?.keep,
+            password: process.env.BACKUP_PASSWORD
+         })
+         client.restore = client.restore ? client.restore : {}
+         const action = (args[0] || '').toLowerCase()
+         if (action == 'cancel') {
+            if (!client.restore[m.sender]) return client.reply(m.chat, Func.texted('bold', `🚩 Nothing to cancel.`), m)
+            delete client.restore[m.sender]
+            return client.reply(m.chat, Func.texted('bold', `🚩 Restore canceled.`), m)
+         }
+         if (action == 'confirm') {
+            const pending = client.restore[m.sender]
+            if (!pending || Date.now() - pending.created > 300_000) {
+               delete client.restore[m.sender]
+               return client.reply(m.chat, Func.texted('bold', `🚩 Your restore session has expired / does not exist.`), m)
+            }
+            delete client.restore[m.sender]
+            await client.sendReact(m.chat, '🕒', m.key)
+            const restored = backup.restore(global.db, pending.data, pending.sections)
+            await database.save(global.db)
+            return client.reply(m.chat, Func.texted('bold', `✅ Database was successfully restored (${restored.join(', ')}).`), m)
+         }
+         // read the backup from a replied document or from the stored backups (number or file name)
+         let buffer, name
+         if (m.quoted && /document/.test(m.quoted.mtype) && /\.(bak|json)$/i.test(m.quoted.fileName || '')) {
+            buffer = await m.quoted.download()
+            name = m.quoted.fileName
+            if (!buffer) return client.reply(m.chat, Func.texted('bold', `🚩 File cannot be downloaded.`), m)
+         } else if (action && !backup.sections.includes(action.split(',')[0])) {
+            const files = backup.list()
+            const file = /^\d+$/.test(action) ? files[Number(action) - 1] : files.find(v => v.name == args[0])
+            if (!file) return client.reply(m.chat, Func.texted('bold', `🚩 Backup not found, see ${isPrefix}backup list.`), m)
+            buffer = require('fs').readFileSync(file.file)
+            name = file.name
+            args.shift()
+         } else return client.reply(m.chat, help(isPrefix, command, backup.sections), m)
+         const sections = args.length ? args.join(',').toLowerCase().split(',').map(v => v.trim()).filter(Boolean) : backup.sections
+         const unknown = sections.filter(v => !backup.sections.includes(v))
+         if (unknown.length) return client.reply(m.chat, Func.texted('bold', `🚩 Unknown section : ${unknown.join(', ')} (available : ${backup.sections.join(', ')}).`), m)
+         let data
+         try {
+            data = backup.unpack(buffer)
+         } catch (e) {
+            return client.reply(m.chat, Func.texted('bold', `🚩 ${e.message}.`), m)
+         }
+         const check = backup.validate(data)
+         if (!check.status) return client.reply(m.chat, `乂  *I N V A L I D*\n\n${check.errors.slice(0, 10).map(v => '	◦  ' + v).join('\n')}${check.errors.length > 10 ? `\n	◦  ... ${check.errors.length - 10} more` : ''}`, m)
+         const diff = backup.diff(global.db, data, sections)
+         if (Object.keys(diff).length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 The backup doesn't contain ${sections.join(', ')}.`), m)
+         client.restore[m.sender] = { data, sections: Object.keys(diff), created: Date.now() }
+         let teks = `乂  *R E S T O R E*\n\n`
+         teks += `	◦  *File* : ${name}\n\n`
+         teks += Object.entries(diff).map(([section, v]) => `   ┌ *${Func.ucword(section)}* : ${v.current} ➠ ${v.incoming}\n   └ *Added* : ${v.added} · *Removed* : ${v.removed} · *Changed* : ${v.changed}`).join('\n\n')
+         teks += `\n\nSend *${isPrefix + command} confirm* within 5 minutes to replace these sections or *${isPrefix + command} cancel*.`
+         client.reply(m.chat, teks, m)
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    owner: true,
    cache: true,
    location: __filename
+}
+
+const help = (prefix, command, sections) => {
+   return `• *Example* :
+
+${prefix + command} (reply to a .bak / .json file)
+${prefix + command} users,groups (reply, restore only these sections)
+${prefix + command} 1 (first backup from ${prefix}backup list)
+${prefix + command} 1 setting
+
+Sections : ${sections.join(', ')}`
 }
\ No newline at end of file
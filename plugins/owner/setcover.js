@@ -20,7 +20,7 @@ exports.run = {
          setting.cover = Buffer.from(buffer).toString('base64')
          client.reply(m.chat, Func.texted('bold', `🚩 Cover successfully set.`), m)
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    owner: true,
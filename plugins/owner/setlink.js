@@ -17,7 +17,7 @@ exports.run = {
          setting.link = text
          client.reply(m.chat, Func.texted('bold', `🚩 Link successfully set.`), m)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    owner: true,
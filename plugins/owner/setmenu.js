@@ -15,7 +15,7 @@ exports.run = {
          if (!['1','2','3','4','5'].includes(args[0])) return client.reply(m.chat, Func.texted('bold', `🚩 Style not available.`), m)
          client.reply(m.chat, `🚩 Bot menu successfully set using style *${args[0]}*.`, m).then(() => setting.style = parseInt(args[0]))
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    owner: true,
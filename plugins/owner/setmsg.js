@@ -15,7 +15,7 @@ exports.run = {
          setting.msg = text
          client.reply(m.chat, Func.texted('bold', `🚩 Menu Message successfully set.`), m)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    owner: true,
@@ -1,4 +1,4 @@
-const { S_WHATSAPP_NET } = require('@adiwajshing/baileys')
+const { S_WHATSAPP_NET } = require('baileys')
 const Jimp = require('jimp')
 exports.run = {
    usage: ['setpp'],
@@ -36,7 +36,7 @@ exports.run = {
             client.reply(m.chat, Func.texted('bold', `🚩 Profile photo has been successfully changed.`), m)
          } else return client.reply(m.chat, Func.texted('bold', `🚩 Reply to the photo that will be made into the bot's profile photo.`), m)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    owner: true,
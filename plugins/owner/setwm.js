@@ -18,7 +18,7 @@ exports.run = {
          setting.sk_author = author || ''
          client.reply(m.chat, Func.texted('bold', `🚩 Sticker Watermark successfully set.`), m)
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    owner: true,
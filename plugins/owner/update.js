@@ -16,7 +16,7 @@ exports.run = {
             client.reply(m.chat, `🚩 ${output.trim()}`, m).then(async () => process.send('reset'))
          } else return client.reply(m.chat, `🚩 ${output.trim()}`, m).then(async () => process.send('reset'))
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    owner: true,
@@ -0,0 +1,27 @@
+const economy = new (require('../../lib/system/economy'))
+
+exports.run = {
+   usage: ['daily'],
+   category: 'user info',
+   async: async (m, {
+      client,
+      users,
+      Func
+   }) => {
+      try {
+         const claim = economy.daily(users)
+         if (!claim.status) return client.reply(m.chat, Func.texted('bold', `🚩 You have claimed today, come back in ${Func.toTime(claim.wait)}.`), m)
+         let teks = `乂  *D A I L Y*\n\n`
+         teks += `	◦  *Reward* : +${Func.formatNumber(claim.reward)} limit\n`
+         teks += `	◦  *Streak* : ${claim.streak} day${claim.streak > 1 ? 's' : ''}\n`
+         teks += `	◦  *Limit* : ${Func.formatNumber(users.limit)}\n\n`
+         teks += claim.streak < economy.streak ? `Claim again tomorrow to get +${economy.bonus} bonus limit, missing a day resets the streak.` : `Your streak bonus is at maximum, keep it up!`
+         client.reply(m.chat, teks, m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   cache: true,
+   location: __filename
+}
@@ -0,0 +1,54 @@
+exports.run = {
+   usage: ['lang'],
+   use: 'code / group code / global code',
+   category: 'user info',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      users,
+      groupSet,
+      setting,
+      isOwner,
+      isAdmin,
+      lang,
+      status,
+      Func
+   }) => {
+      try {
+         const locale = global.locale
+         const list = locale.languages().map(v => `${v} (${locale.packs[v].name})`).join(', ')
+         const scope = ['group', 'global'].includes((args[0] || '').toLowerCase()) ? args[0].toLowerCase() : 'user'
+         const code = ((scope == 'user' ? args[0] : args[1]) || '').toLowerCase()
+         if (!code) {
+            let teks = `乂  *L A N G U A G E*\n\n`
+            teks += `	◦  ${locale.t(lang, 'lang.current', { user: users.lang || '-', group: m.isGroup && groupSet.lang ? groupSet.lang : '-', global: setting.lang || locale.fallback })}\n`
+            teks += `	◦  ${locale.t(lang, 'lang.available', { list })}\n\n`
+            teks += `${isPrefix + command} id\n`
+            teks += `${isPrefix + command} group en\n`
+            teks += `${isPrefix + command} reset`
+            return client.reply(m.chat, teks, m)
+         }
+         if (scope == 'group' && !m.isGroup) return client.reply(m.chat, status.group, m)
+         if (scope == 'group' && !isAdmin && !isOwner) return client.reply(m.chat, status.admin, m)
+         if (scope == 'global' && !isOwner) return client.reply(m.chat, status.owner, m)
+         if (code == 'reset') {
+            if (scope == 'user') users.lang = ''
+            if (scope == 'group') groupSet.lang = ''
+            if (scope == 'global') setting.lang = locale.fallback
+            return client.reply(m.chat, Func.texted('bold', `🚩 ${locale.t(locale.from(m), 'lang.reset')}`), m)
+         }
+         if (!locale.has(code)) return client.reply(m.chat, Func.texted('bold', `🚩 ${locale.t(lang, 'lang.unknown', { lang: code, list })}`), m)
+         if (scope == 'user') users.lang = code
+         if (scope == 'group') groupSet.lang = code
+         if (scope == 'global') setting.lang = code
+         client.reply(m.chat, Func.texted('bold', `🚩 ${locale.t(locale.from(m), 'lang.' + scope, { name: locale.packs[code].name })}`), m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   cache: true,
+   location: __filename
+}
@@ -1,14 +1,26 @@
+const moment = require('moment-timezone')
+
 exports.run = {
    usage: ['limit'],
+   use: 'history (optional)',
    category: 'user info',
    async: async (m, {
       client,
+      args,
       isPrefix,
       Func
    }) => {
-      let user = global.db.users.find(v => v.jid == m.sender)
-      if (user.limit < 1) return client.reply(m.chat, `🚩 Your bot usage has reached the limit and will be reset at 00.00\n\nTo get more limits, upgrade to a premium plan send *${isPrefix}premium*`, m)
-      client.reply(m.chat, `🍟 Your limit : [ *${Func.formatNumber(user.limit)}* ]${!user.premium ? `\n\nTo get more limits, upgrade to a premium plan send *${isPrefix}premium*` : ''}`, m)
+      let user = global.repo.users.get(m.sender)
+      if (args[0] && args[0].toLowerCase() == 'history') {
+         const ledger = (user.ledger || []).slice(-15).reverse()
+         if (ledger.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 No limit changes recorded yet.`), m)
+         let teks = `乂  *L I M I T - H I S T O R Y*\n\n`
+         teks += ledger.map(v => `	◦  ${moment(v.created).format('DD/MM HH:mm')} : *${v.amount > 0 ? '+' : ''}${Func.formatNumber(v.amount)}* ➠ ${Func.formatNumber(v.balance)} (${v.reason})`).join('\n')
+         teks += `\n\n${global.footer}`
+         return client.reply(m.chat, teks, m)
+      }
+      if (user.limit < 1) return client.reply(m.chat, `🚩 Your bot usage has reached the limit and will be reset at 00.00\n\nTo get more limits, claim *${isPrefix}daily* or upgrade to a premium plan send *${isPrefix}premium*`, m)
+      client.reply(m.chat, `🍟 Your limit : [ *${Func.formatNumber(user.limit)}* ]${!user.premium ? `\n\nTo get more limits, claim *${isPrefix}daily* or upgrade to a premium plan send *${isPrefix}premium*` : ''}\n\nSend *${isPrefix}limit history* to see your limit changes.`, m)
    },
    error: false
 }
\ No newline at end of file
@@ -8,7 +8,7 @@ exports.run = {
       env,
       Func
    }) => {
-      let user = global.db.users.find(v => v.jid == m.sender)
+      let user = global.repo.users.get(m.sender)
       let _own = [...new Set([env.owner, ...global.db.setting.owners])]
       var pic = await client.profilePictureUrl(m.sender, 'image')
       let blocked = blockList.includes(m.sender) ? true : false
@@ -19,7 +19,7 @@ exports.run = {
       caption += `	◦  *Name* : ${m.pushName}\n`
       caption += `	◦  *Limit* : ${Func.formatNumber(user.limit)}\n`
       caption += `	◦  *Hitstat* : ${Func.formatNumber(user.hit)}\n`
-      caption += `	◦  *Warning* : ${((m.isGroup) ? (typeof global.db.groups.find(v => v.jid == m.chat).member[m.sender] != 'undefined' ? global.db.groups.find(v => v.jid == m.chat).member[m.sender].warning : 0) + ' / 5' : user.warning + ' / 5')}\n\n`
+      caption += `	◦  *Warning* : ${((m.isGroup) ? (global.repo.groups.get(m.chat).member[m.sender]?.warning || 0) + ' / 5' : user.warning + ' / 5')}\n\n`
       caption += `乂  *U S E R - S T A T U S*\n\n`
       caption += `	◦  *Blocked* : ${(blocked ? '√' : '×')}\n`
       caption += `	◦  *Banned* : ${(new Date - user.ban_temporary < env.timer) ? Func.toTime(new Date(user.ban_temporary + env.timeout) - new Date()) + ' (' + ((env.timeout / 1000) / 60) + ' min)' : user.banned ? '√' : '×'}\n`
@@ -33,6 +33,7 @@ exports.run = {
       })
    },
    error: false,
+   bypassBan: true,
    cache: true,
    location: __filename
 }
\ No newline at end of file
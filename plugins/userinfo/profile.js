@@ -23,7 +23,7 @@ exports.run = {
             var user = number + '@s.whatsapp.net'
          }
       } catch (e) { } finally {
-         let target = global.db.users.find(v => v.jid == user)
+         let target = global.repo.users.get(user)
          if (typeof target == 'undefined') return client.reply(m.chat, Func.texted('bold', `🚩 Can't find user data.`), m)
          var pic = await client.profilePictureUrl(user, 'image')
          let blocked = blockList.includes(user) ? true : false
@@ -34,7 +34,7 @@ exports.run = {
          caption += `	◦  *Name* : ${target.name}\n`
          caption += `	◦  *Limit* : ${Func.formatNumber(target.limit)}\n`
          caption += `	◦  *Hitstat* : ${Func.formatNumber(target.hit)}\n`
-         caption += `	◦  *Warning* : ${((m.isGroup) ? (typeof global.db.groups.find(v => v.jid == m.chat).member[user] != 'undefined' ? global.db.groups.find(v => v.jid == m.chat).member[user].warning : 0) + ' / 5' : target.warning + ' / 5')}\n\n`
+         caption += `	◦  *Warning* : ${((m.isGroup) ? (global.repo.groups.get(m.chat).member[user]?.warning || 0) + ' / 5' : target.warning + ' / 5')}\n\n`
          caption += `乂  *U S E R - S T A T U S*\n\n`
          caption += `	◦  *Blocked* : ${(blocked ? '√' : '×')}\n`
          caption += `	◦  *Banned* : ${(new Date - target.ban_temporary < env.timer) ? Func.toTime(new Date(target.ban_temporary + env.timeout) - new Date()) + ' (' + ((env.timeout / 1000) / 60) + ' min)' : target.banned ? '√' : '×'}\n`
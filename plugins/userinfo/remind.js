@@ -0,0 +1,76 @@
+const moment = require('moment-timezone')
+const scheduler = new (require('../../lib/system/scheduler'))
+const reminder = new (require('../../lib/system/reminder'))
+
+exports.run = {
+   usage: ['remind', 'reminders'],
+   use: 'time text',
+   category: 'user info',
+   async: async (m, {
+      client,
+      args,
+      isPrefix,
+      command,
+      users,
+      Func
+   }) => {
+      try {
+         const list = reminder.store(users)
+         if (command == 'reminders') {
+            const action = (args[0] || '').toLowerCase()
+            if (action == 'cancel') {
+               if (!args[1]) return client.reply(m.chat, Func.example(isPrefix, command, 'cancel A1B2'), m)
+               if (!reminder.remove(users, args[1])) return client.reply(m.chat, Func.texted('bold', `🚩 Reminder ${args[1]} not found.`), m)
+               return client.reply(m.chat, Func.texted('bold', `🚩 Reminder ${args[1].toUpperCase()} successfully canceled.`), m)
+            }
+            if (action == 'clear') {
+               users.reminders = []
+               return client.reply(m.chat, Func.texted('bold', `🚩 ${list.length} reminders successfully canceled.`), m)
+            }
+            if (list.length < 1) return client.reply(m.chat, Func.texted('bold', `🚩 You don't have any reminders, create one with ${isPrefix}remind.`), m)
+            let teks = `乂  *R E M I N D E R S*\n\n`
+            teks += list.map(v => `   ┌ *ID* : ${v.id}\n   │ *Time* : ${moment(v.at).format('DD/MM/YY HH:mm')}\n   │ *Where* : ${v.chat == m.sender ? 'private chat' : v.chat.endsWith('g.us') ? 'group' : 'this chat'}\n   └ *Text* : ${v.text.slice(0, 60)}`).join('\n\n')
+            teks += `\n\nSend *${isPrefix + command} cancel id* to cancel a reminder or *${isPrefix + command} clear* to cancel all.`
+            return client.reply(m.chat, teks, m)
+         }
+         const input = args.filter(v => !['-p', '--private'].includes(v.toLowerCase()))
+         const isPrivate = input.length !== args.length || !m.isGroup
+         // the time may take up to 2 words (e.g. "tomorrow 09:00" or "1h 30m"), the rest is the text
+         let at, text
+         for (let length = Math.min(2, input.length - 1); length > 0; length--) {
+            const resolved = scheduler.resolve(input.slice(0, length).join(' '))
+            if (resolved && resolved.at) {
+               at = resolved.at
+               text = input.slice(length).join(' ')
+               break
+            }
+         }
+         if (!at || !text) return client.reply(m.chat, help(isPrefix, command), m)
+         if (at - Date.now() > 365 * 86_400_000) return client.reply(m.chat, Func.texted('bold', `🚩 Reminders can only be set up to 1 year ahead.`), m)
+         if (list.length >= reminder.max) return client.reply(m.chat, Func.texted('bold', `🚩 You already have ${reminder.max} pending reminders.`), m)
+         const item = reminder.add(users, {
+            at,
+            text,
+            chat: isPrivate ? m.sender : m.chat
+         })
+         client.reply(m.chat, Func.texted('bold', `🚩 Reminder ${item.id} set for ${moment(at).format('DD/MM/YY HH:mm')} (in ${Func.toTime(at - Date.now())})${isPrivate && m.isGroup ? ', it will be sent privately' : ''}.`), m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   cache: true,
+   location: __filename
+}
+
+const help = (prefix, command) => {
+   return `• *Example* :
+
+${prefix + command} 10m check the oven
+${prefix + command} 1h 30m join the meeting
+${prefix + command} 20:00 call mom
+${prefix + command} tomorrow 09:00 submit the report
+${prefix + command} -p tomorrow 07:00 take medicine (sent privately)
+${prefix}reminders
+${prefix}reminders cancel id`
+}
@@ -0,0 +1,43 @@
+const economy = new (require('../../lib/system/economy'))
+
+exports.run = {
+   usage: ['transfer'],
+   hidden: ['tf'],
+   use: 'mention amount',
+   category: 'user info',
+   params: [{
+      name: 'user',
+      type: 'jid'
+   }, {
+      name: 'amount',
+      type: 'number',
+      integer: true,
+      min: 1
+   }],
+   example: '@0 10',
+   async: async (m, {
+      client,
+      params,
+      users,
+      Func
+   }) => {
+      try {
+         const target = global.repo.users.get(params.user)
+         if (!target) return client.reply(m.chat, Func.texted('bold', `🚩 Can't find user data.`), m)
+         if (target.jid == m.sender) return client.reply(m.chat, Func.texted('bold', `🚩 You can't transfer to yourself.`), m)
+         const transfer = economy.transfer(users, target, params.amount)
+         if (!transfer.status) return client.reply(m.chat, Func.texted('bold', `🚩 Your limit is not enough, you need ${Func.formatNumber(transfer.need)} limit (including ${Func.formatNumber(transfer.fee)} fee).`), m)
+         let teks = `乂  *T R A N S F E R*\n\n`
+         teks += `	◦  *To* : @${target.jid.replace(/@.+/, '')}\n`
+         teks += `	◦  *Amount* : ${Func.formatNumber(params.amount)}\n`
+         teks += `	◦  *Fee* : ${Func.formatNumber(transfer.fee)} (${economy.fee}%)\n`
+         teks += `	◦  *Your Limit* : ${Func.formatNumber(users.limit)}`
+         client.reply(m.chat, teks, m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   cache: true,
+   location: __filename
+}
@@ -20,7 +20,7 @@ exports.run = {
             client.reply(m.chat, json.data.message, m)
          }
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false,
@@ -22,7 +22,7 @@ exports.run = {
             thumbnail: await Func.fetchBuffer(json.data.map)
          })
       } catch (e) {
-         client.reply(m.chat, Func.jsonFormat(e), m)
+         client.reportError(m, e)
       }
    },
    error: false
@@ -42,7 +42,7 @@ exports.run = {
             client.sendFile(m.chat, json.data.image, '', json.data.description, m)
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -27,7 +27,7 @@ exports.run = {
          caption += global.footer
          client.sendFile(m.chat, json.data.photo, 'image.png', caption, m)
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
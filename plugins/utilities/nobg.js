@@ -40,7 +40,7 @@ exports.run = {
             client.sendFile(m.chat, json.data.no_background, '', '', m)
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -38,7 +38,7 @@ exports.run = {
             client.reply(m.chat, json.data.text, m)
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
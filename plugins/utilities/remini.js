@@ -38,7 +38,7 @@ exports.run = {
             client.sendFile(m.chat, json.data.url, 'image.jpg', '', m)
          }
       } catch (e) {
-         return client.reply(m.chat, Func.jsonFormat(e), m)
+         return client.reportError(m, e)
       }
    },
    error: false,
@@ -0,0 +1,34 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const { Component } = require('@neoxr/wb')
+const { Function: Func } = new Component
+const kit = require('./kit')({
+   plugins: ['plugins/admin/group_disable.js', 'test/fixtures/plugins/echo.js']
+})
+
+const group = '120363000000000004@g.us'
+const admin = '6281200000001@s.whatsapp.net'
+
+describe('group command disable', () => {
+   beforeEach(() => {
+      kit.reset()
+      kit.user(admin)
+      kit.client.group(group, { admins: [admin] })
+   })
+
+   it('refuses every name of a disabled command', async () => {
+      await kit.send({ text: '.gdisable echo', sender: admin, group })
+      let sent = await kit.send({ text: '.echo hello', sender: admin, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [Func.texted('bold', `🚩 ${global.locale.t('en', 'system.disabled_group', { command: '.echo' })}`)])
+      sent = await kit.send({ text: '#say hello', sender: admin, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [Func.texted('bold', `🚩 ${global.locale.t('en', 'system.disabled_group', { command: '#say' })}`)])
+   })
+
+   it('disables a command by its hidden name', async () => {
+      let sent = await kit.send({ text: '.gdisable say', sender: admin, group })
+      assert.match(sent[0].content, /disabled successfully/)
+      assert.deepStrictEqual(global.repo.groups.get(group).commandDisable, ['say'])
+      sent = await kit.send({ text: '.echo hello', sender: admin, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [Func.texted('bold', `🚩 ${global.locale.t('en', 'system.disabled_group', { command: '.echo' })}`)])
+   })
+})
@@ -0,0 +1,24 @@
+exports.run = {
+   usage: ['echo'],
+   hidden: ['say'],
+   use: 'text',
+   category: 'miscs',
+   async: async (m, {
+      client,
+      text,
+      isPrefix,
+      command,
+      Func
+   }) => {
+      try {
+         if (!text) return client.reply(m.chat, Func.example(isPrefix, command, 'hello'), m)
+         client.reply(m.chat, text, m)
+      } catch (e) {
+         client.reportError(m, e)
+      }
+   },
+   error: false,
+   limit: true,
+   cache: true,
+   location: __filename
+}
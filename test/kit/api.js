@@ -0,0 +1,38 @@
+module.exports = class ApiStub {
+   constructor() {
+      this.routes = new Map
+      this.calls = []
+   }
+
+   /**
+    * Stubs an endpoint, requests to paths that aren't stubbed resolve with status false.
+    * @param {string} path - Endpoint path, e.g. "/tiktok".
+    * @param {object|Function} response - The response, or a function receiving the params.
+    * @returns {ApiStub}
+    */
+   on = (path, response) => {
+      this.routes.set(path, response)
+      return this
+   }
+
+   /**
+    * Same signature as NeoxrApi.neoxr, records the request and answers with the stub.
+    * @param {string} path - Endpoint path.
+    * @param {object} [params] - Query parameters.
+    * @returns {Promise<object>}
+    */
+   neoxr = async (path, params = {}) => {
+      this.calls.push({ path, params })
+      const response = this.routes.get(path)
+      if (!response) return { creator: '@neoxr.js', status: false, msg: `No stub for ${path}` }
+      return typeof response === 'function' ? response(params) : response
+   }
+
+   /**
+    * Removes every stub and recorded request.
+    */
+   reset = () => {
+      this.routes.clear()
+      this.calls = []
+   }
+}
@@ -0,0 +1,122 @@
+const crypto = require('crypto')
+
+module.exports = class MockClient {
+   /**
+    * Socket double that records everything a plugin sends instead of talking to WhatsApp.
+    * @param {object} [opts] - Client options.
+    * @param {string} [opts.number='6280000000000'] - The bot number.
+    */
+   constructor(opts = {}) {
+      this.user = { id: (opts.number || '6280000000000') + ':1@s.whatsapp.net', name: 'neoxr-bot' }
+      this.groups = new Map
+      this.blocklist = []
+      this.sent = []
+      this.calls = []
+      require('../../lib/system/baileys')(this)
+   }
+
+   /**
+    * Records an outgoing message or action and resolves with a message-like object.
+    * @param {string} method - The socket method.
+    * @param {string} jid - Target chat.
+    * @param {any} content - Text, buffer or message content.
+    * @param {object} [extra] - Quoted message and options.
+    * @returns {Promise<object>}
+    */
+   record = (method, jid, content, extra = {}) => {
+      const id = 'BAE5' + crypto.randomBytes(6).toString('hex').toUpperCase()
+      this.sent.push({ method, jid, content, ...extra })
+      return Promise.resolve({ key: { remoteJid: jid, fromMe: true, id }, message: {}, status: 1 })
+   }
+
+   /**
+    * Registers a group so the handler can resolve its metadata and admins.
+    * @param {string} jid - Group JID.
+    * @param {object} [opts] - Group options.
+    * @param {string} [opts.subject='Test Group'] - Group name.
+    * @param {string[]} [opts.participants] - Member JIDs.
+    * @param {string[]} [opts.admins] - Admin JIDs, they are added as members.
+    * @param {boolean} [opts.botAdmin=false] - Whether the bot is an admin.
+    * @returns {object} - The group metadata.
+    */
+   group = (jid, opts = {}) => {
+      const bot = this.decodeJid(this.user.id)
+      const admins = [...(opts.admins || []), ...(opts.botAdmin ? [bot] : [])]
+      const members = [...new Set([bot, ...(opts.participants || []), ...admins])]
+      const metadata = {
+         id: jid,
+         subject: opts.subject || 'Test Group',
+         owner: admins[0],
+         participants: members.map(id => ({ id, admin: admins.includes(id) ? 'admin' : null }))
+      }
+      this.groups.set(jid, metadata)
+      return metadata
+   }
+
+   decodeJid = jid => /:\d+@/.test(jid || '') ? jid.replace(/:\d+@/, '@') : jid
+   // used by the serializer to map LIDs, the kit only uses phone number JIDs
+   getRealJid = jid => jid
+   lidParser = participants => participants
+   getGroupMetadata = async jid => this.groups.get(jid) || { id: jid, subject: '', participants: [] }
+   groupMetadata = async jid => this.getGroupMetadata(jid)
+   groupAdmin = async jid => (this.groups.get(jid)?.participants || []).filter(v => v.admin).map(v => v.id)
+   fetchBlocklist = async () => this.blocklist
+   downloadMediaMessage = async message => message?.buffer || Buffer.alloc(0)
+   sendPresenceUpdate = async (...args) => this.calls.push({ method: 'sendPresenceUpdate', args })
+   readMessages = async (...args) => this.calls.push({ method: 'readMessages', args })
+
+   reply = (jid, text, quoted, options = {}) => this.record('reply', jid, text, { quoted, options })
+   sendMessage = (jid, content, options = {}) => this.record('sendMessage', jid, content, { quoted: options.quoted, options })
+   sendMessageModify = (jid, text, quoted, options = {}) => this.record('sendMessageModify', jid, text, { quoted, options })
+   sendFile = (jid, source, filename, caption, quoted, options = {}) => this.record('sendFile', jid, source, { filename, caption, quoted, options })
+   sendSticker = (jid, source, quoted, options = {}) => this.record('sendSticker', jid, source, { quoted, options })
+   sendReact = (jid, emoticon, key) => this.record('sendReact', jid, emoticon, { key })
+   copyNForward = (jid, message, forceForward, options = {}) => this.record('copyNForward', jid, message, { options })
+
+   /**
+    * Records the action and applies it to the registered group.
+    * @param {string} jid - Group JID.
+    * @param {string[]} participants - Target JIDs.
+    * @param {string} action - add, remove, promote or demote.
+    * @returns {Promise<object[]>}
+    */
+   groupParticipantsUpdate = async (jid, participants, action) => {
+      await this.record('groupParticipantsUpdate', jid, participants, { action })
+      const metadata = this.groups.get(jid)
+      if (metadata) {
+         if (action === 'remove') metadata.participants = metadata.participants.filter(v => !participants.includes(v.id))
+         if (action === 'add') metadata.participants.push(...participants.filter(id => !metadata.participants.some(v => v.id === id)).map(id => ({ id, admin: null })))
+         if (/promote|demote/.test(action)) metadata.participants.filter(v => participants.includes(v.id)).map(v => v.admin = action === 'promote' ? 'admin' : null)
+      }
+      return participants.map(jid => ({ jid, status: '200' }))
+   }
+
+   updateBlockStatus = async (jid, action) => {
+      await this.record('updateBlockStatus', jid, action)
+      this.blocklist = action === 'block' ? [...new Set([...this.blocklist, jid])] : this.blocklist.filter(v => v !== jid)
+   }
+
+   groupLeave = async jid => {
+      await this.record('groupLeave', jid, null)
+      this.groups.delete(jid)
+   }
+
+   /**
+    * Texts of the replies and text messages sent, optionally only to one chat.
+    * @param {string} [jid] - Chat JID.
+    * @returns {string[]}
+    */
+   texts = jid => this.sent.filter(v => !jid || v.jid === jid).map(v => typeof v.content === 'string' ? v.content : v.caption || v.content?.text || v.content?.caption).filter(v => typeof v === 'string')
+
+   /**
+    * The last recorded entry, optionally of one method.
+    * @param {string} [method] - Socket method.
+    * @returns {object|undefined}
+    */
+   last = method => this.sent.filter(v => !method || v.method === method).pop()
+
+   clear = () => {
+      this.sent = []
+      this.calls = []
+   }
+}
@@ -0,0 +1,117 @@
+require('rootpath')()
+const path = require('path')
+const { Component } = require('@neoxr/wb')
+const { Baileys, Config: env } = new Component
+require('../../lib/system/functions'), require('../../lib/system/scraper'), require('../../lib/system/config')
+const { models } = require('../../lib/system/models')
+const init = new (require('../../lib/system/init'))
+const MockClient = require('./client')
+const ApiStub = require('./api')
+const message = require('./message')
+
+const root = path.join(__dirname, '../..')
+
+/**
+ * The framework connection without the socket, it only serializes raw messages with the mock client so the
+ * handler gets the same `m`, `prefix`, `command`, `args` and `core` as on a real connection.
+ * Relies on Baileys#_prepareAndParseMessage() of @neoxr/wb, the step run on every "messages.upsert".
+ */
+class Serializer extends Baileys {
+   constructor(client) {
+      super({
+         type: '--neoxr-v1',
+         plugsdir: 'plugins',
+         session: 'session',
+         online: false,
+         // same detection as client.js
+         bot: id => id && ((id.startsWith('3EB0') && id.length === 40) || id.startsWith('BAE') || /[-]/.test(id))
+      })
+      // never connect, the mock client is the socket
+      this.socket = async () => {}
+      this.sock = client
+   }
+
+   /**
+    * Serializes a raw message.
+    * @param {object} raw - WAMessage, see ./message.js.
+    * @returns {Promise<object>} - { m, body, prefix, prefixes, command, args, text, core }
+    */
+   parse = raw => this._prepareAndParseMessage(raw)
+}
+
+/**
+ * Creates an offline bot: a fresh in-memory database, a recording client, a stubbed Api and
+ * the given plugins, messages sent with kit.send() go through the real handler.js pipeline.
+ * @param {object} [opts] - Kit options.
+ * @param {string[]} [opts.plugins] - Plugin files relative to the repository root, e.g. "plugins/admin/moderation.js".
+ * @param {object} [opts.setting] - Setting overrides, antispam is off unless it's set here.
+ * @returns {object}
+ */
+module.exports = (opts = {}) => {
+   const client = new MockClient
+   const serializer = new Serializer(client)
+   const api = new ApiStub
+   const database = {
+      saved: 0,
+      save: async () => database.saved++,
+      fetch: async () => global.db
+   }
+   const plugins = Object.fromEntries((opts.plugins || []).map(file => {
+      const location = path.resolve(root, file)
+      delete require.cache[location]
+      return [path.basename(location, '.js'), require(location)]
+   }))
+   const commands = Object.values(plugins).flatMap(v => [].concat(v.run.usage || [], v.run.hidden || []))
+   const owner = env.owner + '@s.whatsapp.net'
+   let handler
+
+   /**
+    * Replaces the database with an empty one, as client.js does before the first fetch.
+    * The handler is loaded again too, its spam counters are kept per sender in memory and would hold the
+    * sender of the next test.
+    */
+   const reset = () => {
+      delete require.cache[require.resolve('../../handler')]
+      handler = require('../../handler')
+      global.db = { users: [], chats: [], groups: [], statistic: {}, sticker: {}, setting: { antispam: false, ...(opts.setting || {}) }, errors: [], jobs: {}, analytics: {} }
+      init.execute(global.db.setting, models.setting)
+      global.Api = api
+      api.reset()
+      client.clear()
+   }
+
+   /**
+    * Creates or updates a user record.
+    * @param {string} jid - User JID.
+    * @param {object} [data] - Fields to set.
+    * @returns {object} - The user record.
+    */
+   const user = (jid, data = {}) => global.repo.users.upsert(jid, global.repo.users.get(jid) ? data : { ...init.getModel(models.users), limit: env.limit, ...data })
+
+   /**
+    * Sends a message through the handler and waits for the plugin to finish.
+    * @param {object} options - Options of the message builder (see ./message.js), or a built message.
+    * @returns {Promise<object[]>} - Everything the client sent while handling this message.
+    */
+   const send = async options => {
+      const raw = options.key ? options : message(options)
+      const ctx = await serializer.parse(raw)
+      const { media, quoted } = raw.buffers || {}
+      if (media) ctx.m.download = async () => media
+      if (quoted && ctx.m.quoted) ctx.m.quoted.download = async () => quoted
+      const from = client.sent.length
+      await handler(client, {
+         ...ctx,
+         store: {},
+         plugins,
+         commands,
+         database
+      })
+      // replies chained with .then() inside plugins and middlewares settle on the next ticks
+      for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve))
+      return client.sent.slice(from)
+   }
+
+   reset()
+   return { client, api, database, plugins, commands, owner, message, serializer, reset, user, send }
+}
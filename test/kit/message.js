@@ -0,0 +1,68 @@
+const crypto = require('crypto')
+
+const MEDIA = {
+   image: { mtype: 'imageMessage', mimetype: 'image/jpeg' },
+   video: { mtype: 'videoMessage', mimetype: 'video/mp4' },
+   audio: { mtype: 'audioMessage', mimetype: 'audio/mpeg' },
+   sticker: { mtype: 'stickerMessage', mimetype: 'image/webp' },
+   document: { mtype: 'documentMessage', mimetype: 'application/octet-stream' }
+}
+
+/**
+ * Builds the message content (the `message` field of a WAMessage), text goes in `conversation` unless it needs a context.
+ * @param {object} opts - Same options as message().
+ * @param {object} [context] - contextInfo (mentions and quoted message).
+ * @returns {object}
+ */
+const content = (opts, context) => {
+   const text = opts.text || ''
+   if (opts.media) {
+      const media = { ...MEDIA[opts.media.type || 'image'], ...opts.media }
+      const msg = { mimetype: media.mimetype, ...(media.mtype === 'stickerMessage' ? {} : { caption: text }), ...(media.fileName ? { fileName: media.fileName } : {}), ...(context ? { contextInfo: context } : {}) }
+      return { [media.mtype]: msg }
+   }
+   return context ? { extendedTextMessage: { text, contextInfo: context } } : { conversation: text }
+}
+
+/**
+ * Builds a raw incoming message (WAMessage) as the socket receives it, the kit serializes it with the framework
+ * so `m`, `prefix`, `command` and `args` are the ones a plugin gets on a real connection.
+ * @param {object} [opts] - Message options.
+ * @param {string} [opts.text=''] - The text, used as caption when the message has media.
+ * @param {string} [opts.sender] - Sender JID.
+ * @param {string} [opts.group] - Group JID, the message is a private chat when it's omitted.
+ * @param {string} [opts.pushName='Tester'] - Sender name.
+ * @param {string} [opts.id] - Message ID, a random one is generated by default.
+ * @param {boolean} [opts.fromMe=false] - Sent by the bot number.
+ * @param {boolean} [opts.isBot=false] - Sent by a bot (ignored by the handler), the ID gets the "BAE5" prefix.
+ * @param {string[]} [opts.mentions] - Mentioned JIDs.
+ * @param {object} [opts.media] - { type: image|video|audio|sticker|document, buffer, mimetype, fileName }
+ * @param {object} [opts.quoted] - The quoted message, takes the same options.
+ * @returns {object}
+ */
+const message = (opts = {}) => {
+   const sender = opts.sender || '6281200000001@s.whatsapp.net'
+   const chat = opts.group || sender
+   const quoted = opts.quoted ? message({ group: opts.group, sender: '6281200000002@s.whatsapp.net', ...opts.quoted }) : null
+   const context = opts.mentions || quoted ? {
+      ...(opts.mentions ? { mentionedJid: opts.mentions } : {}),
+      ...(quoted ? { stanzaId: quoted.key.id, participant: quoted.key.participant || quoted.key.remoteJid, quotedMessage: quoted.message } : {})
+   } : null
+   const id = opts.id || (opts.isBot ? 'BAE5' : '3A') + crypto.randomBytes(opts.isBot ? 6 : 9).toString('hex').toUpperCase()
+   const raw = {
+      key: { remoteJid: chat, fromMe: !!opts.fromMe, id, ...(chat.endsWith('@g.us') ? { participant: sender } : {}) },
+      messageTimestamp: Math.floor(Date.now() / 1000),
+      pushName: opts.pushName || 'Tester',
+      message: content(opts, context)
+   }
+   // media bytes can't be downloaded offline, the kit hands them to m.download() and m.quoted.download()
+   Object.defineProperty(raw, 'buffers', {
+      value: {
+         media: opts.media ? opts.media.buffer || Buffer.alloc(0) : null,
+         quoted: quoted ? quoted.buffers.media : null
+      }
+   })
+   return raw
+}
+
+module.exports = message
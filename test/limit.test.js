@@ -0,0 +1,58 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const { Component } = require('@neoxr/wb')
+const { Function: Func } = new Component
+const kit = require('./kit')({
+   plugins: ['test/fixtures/plugins/echo.js', 'plugins/admin/moderation.js']
+})
+
+const group = '120363000000000003@g.us'
+const sender = '6281200000001@s.whatsapp.net'
+
+describe('command limit', () => {
+   beforeEach(() => {
+      kit.reset()
+      kit.client.group(group, { participants: [sender] })
+   })
+
+   it('takes the cost and writes it into the ledger', async () => {
+      const users = kit.user(sender, { limit: 3 })
+      const sent = await kit.send({ text: '.echo hello', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), ['hello'])
+      assert.strictEqual(users.limit, 2)
+      assert.deepStrictEqual(users.ledger.map(v => [v.amount, v.reason, v.balance]), [[-1, 'command echo', 2]])
+   })
+
+   it('stops users who reached the limit', async () => {
+      const users = kit.user(sender, { limit: 0 })
+      const sent = await kit.send({ text: '.echo hello', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [`⚠️ ${global.locale.t('en', 'system.limit_reached')}`])
+      assert.strictEqual(users.limit, 0)
+   })
+
+   it('refuses when the limit is lower than the cost override', async () => {
+      global.db.setting.costs = { echo: 5 }
+      const users = kit.user(sender, { limit: 3 })
+      const sent = await kit.send({ text: '.say hello', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [Func.texted('bold', `⚠️ ${global.locale.t('en', 'system.limit_not_enough')}`)])
+      assert.strictEqual(users.limit, 3)
+   })
+
+   it('is not charged when a later check refuses the command', async () => {
+      global.db.setting.costs = { antilink: 1 }
+      const users = kit.user(sender, { limit: 3 })
+      const sent = await kit.send({ text: '.antilink on', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [global.locale.status('en').admin])
+      assert.strictEqual(users.limit, 3)
+      assert.deepStrictEqual(users.ledger, [])
+   })
+
+   it('is free when the cost is overridden to 0', async () => {
+      global.db.setting.costs = { echo: 0 }
+      const users = kit.user(sender, { limit: 3 })
+      const sent = await kit.send({ text: '.echo hello', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), ['hello'])
+      assert.strictEqual(users.limit, 3)
+      assert.deepStrictEqual(users.ledger, [])
+   })
+})
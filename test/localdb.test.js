@@ -0,0 +1,36 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const LocalDB = require('../lib/system/localdb')
+
+describe('local database recovery', () => {
+   let dir
+
+   beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localdb-'))
+   })
+
+   afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+   })
+
+   it('does not snapshot the placeholder written on the first start', async () => {
+      const db = new LocalDB(path.join(dir, 'data'))
+      await db.ready
+      assert.deepStrictEqual(await db.listSnapshots(), [])
+      await db.save({ users: [{ jid: '6281200000001@s.whatsapp.net' }] })
+      fs.writeFileSync(db.filePath, '{"broken"')
+      assert.deepStrictEqual(await db.fetch(), { users: [{ jid: '6281200000001@s.whatsapp.net' }] })
+   })
+
+   it('never restores an empty snapshot', async () => {
+      const db = new LocalDB(path.join(dir, 'data'))
+      await db.ready
+      const json = JSON.stringify({})
+      fs.writeFileSync(path.join(db.snapshotDir, `${Date.now()}.json`), `{"checksum":"${db.checksum(json)}","updated":${Date.now()},"data":${json}}`)
+      fs.writeFileSync(db.filePath, '{"broken"')
+      assert.strictEqual(await db.fetch(), null)
+   })
+})
@@ -0,0 +1,47 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const kit = require('./kit')({
+   plugins: ['plugins/admin/moderation.js']
+})
+
+const group = '120363000000000001@g.us'
+const admin = '6281200000001@s.whatsapp.net'
+const member = '6281200000002@s.whatsapp.net'
+
+describe('admin moderation', () => {
+   beforeEach(() => {
+      kit.reset()
+      kit.user(admin)
+      kit.user(member)
+   })
+
+   it('refuses members who are not admin', async () => {
+      kit.client.group(group, { participants: [member], admins: [admin], botAdmin: true })
+      const sent = await kit.send({ text: '.antilink on', sender: member, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [global.locale.status('en').admin])
+      assert.strictEqual(global.repo.groups.get(group).antilink, false)
+   })
+
+   it('needs the bot to be admin', async () => {
+      kit.client.group(group, { participants: [member], admins: [admin] })
+      const sent = await kit.send({ text: '.antilink on', sender: admin, group })
+      assert.deepStrictEqual(sent.map(v => v.content), [global.locale.status('en').botAdmin])
+   })
+
+   it('turns a group option on and reports the state', async () => {
+      kit.client.group(group, { participants: [member], admins: [admin], botAdmin: true })
+      let sent = await kit.send({ text: '.antilink on', sender: admin, group })
+      assert.match(sent[0].content, /Antilink has been activated successfully/)
+      assert.strictEqual(sent[0].quoted.sender, admin)
+      assert.strictEqual(global.repo.groups.get(group).antilink, true)
+      sent = await kit.send({ text: '.antilink on', sender: admin, group })
+      assert.match(sent[0].content, /activated previously/)
+      sent = await kit.send({ text: '.antilink', sender: admin, group })
+      assert.match(sent[0].content, /Current status\* : \[ ON \]/)
+   })
+
+   it('only works in groups', async () => {
+      const sent = await kit.send({ text: '.welcome on', sender: admin })
+      assert.deepStrictEqual(sent.map(v => v.content), [global.locale.status('en').group])
+   })
+})
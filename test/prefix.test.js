@@ -0,0 +1,56 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert')
+const kit = require('./kit')({
+   plugins: ['test/fixtures/plugins/echo.js']
+})
+
+const group = '120363000000000002@g.us'
+const sender = '6281200000001@s.whatsapp.net'
+
+describe('prefix handling', () => {
+   beforeEach(() => {
+      kit.reset()
+      kit.user(sender)
+      kit.client.group(group, { participants: [sender] })
+   })
+
+   it('ignores commands without a prefix', async () => {
+      const sent = await kit.send({ text: 'echo hello', sender, group })
+      assert.deepStrictEqual(sent, [])
+   })
+
+   it('accepts every prefix when multiprefix is on', async () => {
+      for (const prefix of global.db.setting.prefix) {
+         const sent = await kit.send({ text: prefix + 'echo hello', sender, group })
+         assert.deepStrictEqual(sent.map(v => v.content), ['hello'])
+      }
+   })
+
+   it('runs hidden commands', async () => {
+      const sent = await kit.send({ text: '#say hi', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), ['hi'])
+   })
+
+   it('recommends the closest command on a typo', async () => {
+      const sent = await kit.send({ text: '.echoo hello', sender, group })
+      assert.strictEqual(sent.length, 1)
+      assert.ok(sent[0].content.startsWith(`🚩 ${global.locale.t('en', 'system.recommendation')}`))
+      assert.match(sent[0].content, /➠ \*\.echo\*/)
+   })
+
+   it('only accepts onlyprefix when multiprefix is off', async () => {
+      global.db.setting.multiprefix = false
+      let sent = await kit.send({ text: '.echo hello', sender, group })
+      assert.ok(sent[0].content.startsWith(`🚩 ${global.locale.t('en', 'system.prefix_bot', { prefix: '+' })}`))
+      sent = await kit.send({ text: '+echo hello', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), ['hello'])
+   })
+
+   it('uses the group prefix over the global setting', async () => {
+      global.repo.groups.upsert(group, { prefix: '?' })
+      let sent = await kit.send({ text: '.echo hello', sender, group })
+      assert.ok(sent[0].content.startsWith(`🚩 ${global.locale.t('en', 'system.prefix_group', { prefix: '?' })}`))
+      sent = await kit.send({ text: '?echo hello', sender, group })
+      assert.deepStrictEqual(sent.map(v => v.content), ['hello'])
+   })
+})